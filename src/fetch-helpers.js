@@ -0,0 +1,175 @@
+// @flow
+
+import {
+  type EdgeCorePluginOptions,
+  type EdgeFetchFunction,
+  type EdgeFetchResponse,
+  type EdgeLog
+} from 'edge-core-js/types'
+
+type Budget = {
+  requests: number, // How many requests we can make...
+  period: number // ...in this many milliseconds
+}
+
+/**
+ * Request budgets for hosts with strict limits.
+ * These are shared between every plugin in this library.
+ */
+const hostBudgets: { [host: string]: Budget } = {
+  'api.coincap.io': { requests: 200, period: 60000 },
+  'api.coingecko.com': { requests: 50, period: 60000 },
+  'api.currencyconverterapi.com': { requests: 100, period: 60 * 60000 },
+  'api.kraken.com': { requests: 1, period: 1000 },
+  'api.nomics.com': { requests: 1, period: 1000 },
+  'pro-api.coinmarketcap.com': { requests: 30, period: 60000 }
+}
+const defaultBudget: Budget = { requests: 10, period: 1000 }
+
+const MAX_RETRIES = 3
+const RETRY_DELAY_MS = 1000
+
+// Rather than stalling for longer than this, give up:
+const MAX_WAIT_MS = 10000
+
+type HostState = {
+  blockedUntil: number, // From a Retry-After header
+  requests: number[] // Recent request times
+}
+
+const hostStates: { [host: string]: HostState } = {}
+
+function getHost(uri: string): string {
+  const match = /^[a-z]+:\/\/([^/?#]+)/i.exec(uri)
+  return match != null ? match[1].toLowerCase() : ''
+}
+
+function getHostState(host: string): HostState {
+  if (hostStates[host] == null) {
+    hostStates[host] = { blockedUntil: 0, requests: [] }
+  }
+  return hostStates[host]
+}
+
+function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Exponential backoff, with jitter so plugins don't retry in lock-step.
+ */
+function getBackoff(attempt: number): number {
+  return Math.round(RETRY_DELAY_MS * 2 ** attempt * (0.5 + Math.random() / 2))
+}
+
+/**
+ * Turns a Retry-After header, in seconds or as an HTTP date,
+ * into a timestamp.
+ */
+function parseRetryAfter(value: string | null): number | void {
+  if (value == null) return
+  const seconds = Number(value)
+  if (value.trim() !== '' && !isNaN(seconds)) return Date.now() + 1000 * seconds
+  const date = Date.parse(value)
+  if (!isNaN(date)) return date
+}
+
+/**
+ * Waits until the host's budget allows another request, then claims it.
+ */
+async function claimBudget(host: string, log: EdgeLog): Promise<void> {
+  const budget = hostBudgets[host] || defaultBudget
+  const state = getHostState(host)
+
+  while (true) {
+    const now = Date.now()
+    state.requests = state.requests.filter(time => now - time < budget.period)
+
+    let wait = state.blockedUntil - now
+    if (state.requests.length >= budget.requests) {
+      wait = Math.max(wait, state.requests[0] + budget.period - now)
+    }
+    if (wait <= 0) break
+    if (wait > MAX_WAIT_MS) {
+      throw new Error(
+        `Request budget for ${host} is used up for the next ${Math.ceil(
+          wait / 1000
+        )}s`
+      )
+    }
+    log(`Throttling requests to ${host} for ${wait}ms`)
+    await delay(wait)
+  }
+  state.requests.push(Date.now())
+}
+
+/**
+ * Wraps a fetch function so it respects per-host request budgets
+ * and Retry-After headers. GET requests are retried with backoff
+ * when they fail or come back rate-limited.
+ */
+export function makeThrottledFetch(
+  fetch: EdgeFetchFunction,
+  log: EdgeLog
+): EdgeFetchFunction {
+  return async (uri, opts = {}) => {
+    const host = getHost(uri)
+    const state = getHostState(host)
+    const { method = 'GET' } = opts
+    const canRetry = /^(GET|HEAD)$/i.test(method)
+
+    async function tryFetch(attempt: number): Promise<EdgeFetchResponse> {
+      await claimBudget(host, log)
+
+      let response: EdgeFetchResponse
+      try {
+        response = await fetch(uri, opts)
+      } catch (e) {
+        if (!canRetry || attempt >= MAX_RETRIES) throw e
+        const wait = getBackoff(attempt)
+        log.warn(`Request to ${host} failed, retrying in ${wait}ms: ${e}`)
+        await delay(wait)
+        return tryFetch(attempt + 1)
+      }
+      if (response.status !== 429 && response.status !== 503) return response
+
+      // The host may tell us when to come back:
+      const retryAt = parseRetryAfter(response.headers.get('retry-after'))
+      if (retryAt != null) {
+        state.blockedUntil = Math.max(state.blockedUntil, retryAt)
+      }
+      const wait = retryAt != null ? retryAt - Date.now() : getBackoff(attempt)
+      if (!canRetry || attempt >= MAX_RETRIES || wait > MAX_WAIT_MS) {
+        log.warn(`${host} is throttling us (HTTP ${response.status})`)
+        return response
+      }
+
+      log.warn(
+        `${host} returned HTTP ${response.status}, retrying in ${wait}ms`
+      )
+      // The budget check waits out any Retry-After block:
+      if (retryAt == null) await delay(wait)
+      return tryFetch(attempt + 1)
+    }
+
+    return tryFetch(0)
+  }
+}
+
+/**
+ * Routes a plugin's `io.fetch` and `io.fetchCors` through the throttle.
+ */
+export function throttlePluginOptions(
+  opts: EdgeCorePluginOptions
+): EdgeCorePluginOptions {
+  const { io, log } = opts
+  return {
+    ...opts,
+    io: {
+      ...io,
+      fetch: makeThrottledFetch(io.fetch, log),
+      fetchCors:
+        io.fetchCors != null ? makeThrottledFetch(io.fetchCors, log) : undefined
+    }
+  }
+}
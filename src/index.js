@@ -1,14 +1,32 @@
 // @flow
 
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRatePlugin,
+  type EdgeSwapPlugin
+} from 'edge-core-js/types'
+
+import { throttlePluginOptions } from './fetch-helpers.js'
+import {
+  withLastGoodRates,
+  withRateGuard,
+  withTriangulation
+} from './rate-helpers.js'
+import { makeAavePlugin } from './rate/aave.js'
+import { makeAggregatePlugin } from './rate/aggregate.js'
+import { makeBinancePlugin } from './rate/binance.js'
 import { makeBitMaxPlugin } from './rate/bitmax.js'
 import { makeCoinbasePlugin } from './rate/coinbase.js'
 import { makeCoincapPlugin } from './rate/coincap.js'
 import { makeCoinGeckoPlugin } from './rate/coingecko.js'
+import { makeCoinMarketCapPlugin } from './rate/coinmarketcap.js'
 import { makeCoinmonitorPlugin } from './rate/coinmonitor.js'
 import { makeCompoundPlugin } from './rate/compound.js'
 import { makeConstantRatePlugin } from './rate/constantRate.js'
 import { makeCurrencyconverterapiPlugin } from './rate/currencyconverterapi.js'
+import { makeEcbPlugin } from './rate/ecb.js'
 import { makeEdgeRatesPlugin } from './rate/edgeRates.js'
+import { makeKrakenPlugin } from './rate/kraken.js'
 import { makeNomicsPlugin } from './rate/nomics.js'
 import { makeWazirxPlugin } from './rate/wazirx'
 import { makeChangellyPlugin } from './swap/changelly.js'
@@ -23,32 +41,64 @@ import { makeSwitchainPlugin } from './swap/switchain.js'
 import { makeTotlePlugin } from './swap/totle.js'
 import { makeTransferPlugin } from './swap/transfer.js'
 
+/**
+ * Applies the checks every rate plugin's output should go through,
+ * fills in hinted pairs it can triangulate or remembers,
+ * and routes its requests through the shared throttle.
+ */
+function makeRatePlugin(
+  makePlugin: (opts: EdgeCorePluginOptions) => EdgeRatePlugin
+): (opts: EdgeCorePluginOptions) => EdgeRatePlugin {
+  return opts => {
+    const plugin = makePlugin(throttlePluginOptions(opts))
+    return withLastGoodRates(
+      opts,
+      withRateGuard(opts, withTriangulation(opts, plugin))
+    )
+  }
+}
+
+/**
+ * Routes a swap plugin's requests through the shared throttle.
+ */
+function makeSwapPlugin(
+  makePlugin: (opts: EdgeCorePluginOptions) => EdgeSwapPlugin
+): (opts: EdgeCorePluginOptions) => EdgeSwapPlugin {
+  return opts => makePlugin(throttlePluginOptions(opts))
+}
+
 const edgeCorePlugins = {
   // Rate plugins:
-  bitmax: makeBitMaxPlugin,
-  coinbase: makeCoinbasePlugin,
-  coincap: makeCoincapPlugin,
-  coingecko: makeCoinGeckoPlugin,
-  coinmonitor: makeCoinmonitorPlugin,
-  compound: makeCompoundPlugin,
-  constantRate: makeConstantRatePlugin,
-  currencyconverterapi: makeCurrencyconverterapiPlugin,
-  edgeRates: makeEdgeRatesPlugin,
-  nomics: makeNomicsPlugin,
-  wazirx: makeWazirxPlugin,
+  aave: makeRatePlugin(makeAavePlugin),
+  aggregate: makeRatePlugin(makeAggregatePlugin),
+  binance: makeRatePlugin(makeBinancePlugin),
+  bitmax: makeRatePlugin(makeBitMaxPlugin),
+  coinbase: makeRatePlugin(makeCoinbasePlugin),
+  coincap: makeRatePlugin(makeCoincapPlugin),
+  coingecko: makeRatePlugin(makeCoinGeckoPlugin),
+  coinmarketcap: makeRatePlugin(makeCoinMarketCapPlugin),
+  coinmonitor: makeRatePlugin(makeCoinmonitorPlugin),
+  compound: makeRatePlugin(makeCompoundPlugin),
+  constantRate: makeRatePlugin(makeConstantRatePlugin),
+  currencyconverterapi: makeRatePlugin(makeCurrencyconverterapiPlugin),
+  ecb: makeRatePlugin(makeEcbPlugin),
+  edgeRates: makeRatePlugin(makeEdgeRatesPlugin),
+  kraken: makeRatePlugin(makeKrakenPlugin),
+  nomics: makeRatePlugin(makeNomicsPlugin),
+  wazirx: makeRatePlugin(makeWazirxPlugin),
 
   // Swap plugins:
-  changelly: makeChangellyPlugin,
-  changenow: makeChangeNowPlugin,
-  coinswitch: makeCoinSwitchPlugin,
-  faast: makeFaastPlugin,
-  foxExchange: makeFoxExchangePlugin,
-  godex: makeGodexPlugin,
-  shapeshift: makeShapeshiftPlugin,
-  sideshift: makeSideshiftPlugin,
-  switchain: makeSwitchainPlugin,
-  totle: makeTotlePlugin,
-  transfer: makeTransferPlugin
+  changelly: makeSwapPlugin(makeChangellyPlugin),
+  changenow: makeSwapPlugin(makeChangeNowPlugin),
+  coinswitch: makeSwapPlugin(makeCoinSwitchPlugin),
+  faast: makeSwapPlugin(makeFaastPlugin),
+  foxExchange: makeSwapPlugin(makeFoxExchangePlugin),
+  godex: makeSwapPlugin(makeGodexPlugin),
+  shapeshift: makeSwapPlugin(makeShapeshiftPlugin),
+  sideshift: makeSwapPlugin(makeSideshiftPlugin),
+  switchain: makeSwapPlugin(makeSwitchainPlugin),
+  totle: makeSwapPlugin(makeTotlePlugin),
+  transfer: makeSwapPlugin(makeTransferPlugin)
 }
 
 if (
@@ -0,0 +1,659 @@
+// @flow
+
+import {
+  type Cleaner,
+  asArray,
+  asBoolean,
+  asMap,
+  asNumber,
+  asObject,
+  asOptional,
+  asString
+} from 'cleaners'
+import { type Disklet } from 'disklet'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRateHint,
+  type EdgeRatePair,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+export type DiskCache<T> = {
+  data: T,
+  timestamp: number // Milliseconds since the epoch
+}
+
+const asDiskCacheFile = asObject({
+  data: (raw: any) => raw,
+  timestamp: asNumber
+})
+
+/**
+ * Reads a JSON file saved by `saveDiskCache`.
+ * Returns undefined if the file is missing or doesn't match the cleaner.
+ */
+export async function loadDiskCache<T>(
+  disklet: Disklet,
+  path: string,
+  asData: Cleaner<T>
+): Promise<DiskCache<T> | void> {
+  try {
+    const text = await disklet.getText(path)
+    const { data, timestamp } = asDiskCacheFile(JSON.parse(text))
+    return { data: asData(data), timestamp }
+  } catch (e) {
+    return undefined
+  }
+}
+
+/**
+ * Writes some JSON data to disk, along with the time it was saved.
+ */
+export async function saveDiskCache<T>(
+  disklet: Disklet,
+  path: string,
+  data: T,
+  timestamp: number = Date.now()
+): Promise<void> {
+  await disklet.setText(path, JSON.stringify({ data, timestamp }))
+}
+
+// How long to wait after a failed refresh before trying again:
+const DEFAULT_RETRY_DELAY_MS = 1000 * 60 * 5
+
+/**
+ * Keeps a copy of some slow-changing data in memory and on disk,
+ * re-fetching it once the saved copy is older than `maxAge`.
+ * If the fetch fails, the old copy (or the fallback) stays in use
+ * and the next attempt waits for `retryDelay` milliseconds.
+ */
+export function makeDiskCacheLoader<T>(opts: {
+  disklet: Disklet,
+  path: string,
+  asData: Cleaner<T>,
+  maxAge: number,
+  retryDelay?: number,
+  fallback: T,
+  fetchData: () => Promise<T>,
+  onError: (error: any) => void
+}): () => Promise<T> {
+  const {
+    disklet,
+    path,
+    asData,
+    maxAge,
+    retryDelay = DEFAULT_RETRY_DELAY_MS,
+    fetchData,
+    onError
+  } = opts
+  let data: T = opts.fallback
+  let timestamp = 0
+  let retryAt = 0
+  let loaded = false
+
+  return async () => {
+    if (Date.now() - timestamp < maxAge || Date.now() < retryAt) return data
+
+    if (!loaded) {
+      loaded = true
+      const cache = await loadDiskCache(disklet, path, asData)
+      if (cache != null) {
+        data = cache.data
+        timestamp = cache.timestamp
+        if (Date.now() - timestamp < maxAge) return data
+      }
+    }
+
+    try {
+      data = await fetchData()
+      timestamp = Date.now()
+      await saveDiskCache(disklet, path, data, timestamp)
+    } catch (e) {
+      retryAt = Date.now() + retryDelay
+      onError(e)
+    }
+    return data
+  }
+}
+
+/**
+ * Besides the usual fields, each pair says where it came from:
+ * - timestamp: when the provider priced it, if the provider says
+ * - fetchedAt: when we received it
+ * - source: the upstream market or endpoint
+ */
+const asRatePair = asObject({
+  fromCurrency: asString,
+  toCurrency: asString,
+  rate: asNumber,
+  timestamp: asOptional(asNumber),
+  fetchedAt: asOptional(asNumber),
+  source: asOptional(asString)
+})
+
+// Each cached pair, keyed by `${fromCurrency}_${toCurrency}`:
+const asRateCache = asMap(
+  asObject({
+    pair: asRatePair,
+    time: asNumber // When we cached it
+  })
+)
+
+const RATE_CACHE_FILE = 'rateCache.json'
+
+/**
+ * Turns a list of hints into a string that doesn't depend on their order.
+ */
+export function hintsKey(pairsHint: EdgeRateHint[]): string {
+  return pairsHint
+    .map(pair => `${pair.fromCurrency}_${pair.toCurrency}`)
+    .sort()
+    .join(',')
+}
+
+/**
+ * Wraps a rate plugin so it re-uses the pairs it returned while they are
+ * fresh, only asking the plugin about hints the cache can't answer.
+ * Pairs are cached one at a time, so a new hint doesn't evict the others.
+ * The cache is off unless `initOptions.cacheTtl` gives a lifetime,
+ * in milliseconds.
+ */
+export function withRateCache(
+  opts: EdgeCorePluginOptions,
+  plugin: EdgeRatePlugin
+): EdgeRatePlugin {
+  const { initOptions, pluginDisklet } = opts
+  const ttl =
+    typeof initOptions.cacheTtl === 'number' ? initOptions.cacheTtl : 0
+  if (ttl <= 0) return plugin
+
+  let cache: { [key: string]: { +pair: EdgeRatePair, time: number } } | void
+
+  // Hints the plugin couldn't answer, so we don't keep asking:
+  const misses: { [key: string]: number } = {}
+
+  return {
+    ...plugin,
+
+    async fetchRates(pairsHint) {
+      if (cache == null) {
+        const file = await loadDiskCache(
+          pluginDisklet,
+          RATE_CACHE_FILE,
+          asRateCache
+        )
+        cache = file != null ? file.data : {}
+      }
+      const entries = cache
+
+      const isFresh = (key: string): boolean =>
+        entries[key] != null && Date.now() - entries[key].time < ttl
+      const isAnswered = (hint: EdgeRateHint): boolean =>
+        isFresh(`${hint.fromCurrency}_${hint.toCurrency}`) ||
+        isFresh(`${hint.toCurrency}_${hint.fromCurrency}`)
+
+      // Only ask the plugin about the hints we can't answer:
+      const missing = pairsHint.filter(hint => {
+        const key = `${hint.fromCurrency}_${hint.toCurrency}`
+        const missedAt = misses[key]
+        if (missedAt != null && Date.now() - missedAt < ttl) return false
+        return !isAnswered(hint)
+      })
+
+      let pairs: EdgeRatePair[] = []
+      if (missing.length > 0) {
+        pairs = await plugin.fetchRates(missing)
+        const time = Date.now()
+        for (const pair of pairs) {
+          entries[`${pair.fromCurrency}_${pair.toCurrency}`] = { pair, time }
+        }
+        for (const hint of missing) {
+          const key = `${hint.fromCurrency}_${hint.toCurrency}`
+          if (isAnswered(hint)) delete misses[key]
+          else misses[key] = time
+        }
+
+        if (pairs.length > 0) {
+          for (const key of Object.keys(entries)) {
+            if (!isFresh(key)) delete entries[key]
+          }
+          await saveDiskCache(
+            pluginDisklet,
+            RATE_CACHE_FILE,
+            entries
+          ).catch(() => {})
+        }
+      }
+
+      // Add the cached pairs for the hints the plugin didn't just answer:
+      const out = [...pairs]
+      const included = new Set(
+        pairs.map(pair => `${pair.fromCurrency}_${pair.toCurrency}`)
+      )
+      for (const hint of pairsHint) {
+        for (const key of [
+          `${hint.fromCurrency}_${hint.toCurrency}`,
+          `${hint.toCurrency}_${hint.fromCurrency}`
+        ]) {
+          if (included.has(key) || !isFresh(key)) continue
+          included.add(key)
+          out.push(entries[key].pair)
+        }
+      }
+      return out
+    }
+  }
+}
+
+/**
+ * Looks up the rate for a pair at some moment in the past.
+ * Resolves to undefined if the plugin cannot price the pair.
+ */
+export type FetchHistoricalRate = (
+  pair: EdgeRateHint,
+  date: Date
+) => Promise<number | void>
+
+/**
+ * Rate plugins may optionally provide historical lookups.
+ */
+export type HistoricalRatePlugin = EdgeRatePlugin & {
+  fetchHistoricalRate: FetchHistoricalRate
+}
+
+const asHistoricalRates = asMap(asNumber)
+
+/**
+ * Saves the results of a historical rate lookup to disk,
+ * since past rates never change. The `resolution` is the size of the
+ * time buckets the source provides, in milliseconds.
+ */
+export function cacheHistoricalRates(
+  disklet: Disklet,
+  resolution: number,
+  fetchHistoricalRate: FetchHistoricalRate
+): FetchHistoricalRate {
+  return async (pair, date) => {
+    const time = Math.floor(date.valueOf() / resolution) * resolution
+    const key = new Date(time).toISOString()
+    const path = `historicalRates/${pair.fromCurrency}_${pair.toCurrency}.json`
+
+    const cache = await loadDiskCache(disklet, path, asHistoricalRates)
+    const rates = cache != null ? cache.data : {}
+    if (rates[key] != null) return rates[key]
+
+    const rate = await fetchHistoricalRate(pair, new Date(time))
+    if (rate == null) return
+    rates[key] = rate
+    await saveDiskCache(disklet, path, rates).catch(() => {})
+    return rate
+  }
+}
+
+const asAcceptedRates = asMap(asNumber)
+
+const ACCEPTED_RATES_FILE = 'acceptedRates.json'
+
+// How far a rate can move between fetches, as a fraction:
+const DEFAULT_MAX_RATE_JUMP = 0.5
+
+/**
+ * True if two rates are within the allowed jump of each other.
+ */
+function isCloseRate(a: number, b: number, maxJump: number): boolean {
+  return Math.abs(a - b) / b <= maxJump
+}
+
+/**
+ * Wraps a rate plugin so sudden jumps don't reach the user right away.
+ * Each pair is compared against the last value we accepted,
+ * and anything moving further than `initOptions.maxRateJump`
+ * (a fraction, defaulting to 0.5) is held back until a second fetch
+ * comes back with a similar value.
+ */
+export function withRateGuard(
+  opts: EdgeCorePluginOptions,
+  plugin: EdgeRatePlugin
+): EdgeRatePlugin {
+  const { initOptions, log, pluginDisklet } = opts
+  const maxJump =
+    typeof initOptions.maxRateJump === 'number'
+      ? initOptions.maxRateJump
+      : DEFAULT_MAX_RATE_JUMP
+
+  let accepted: { [key: string]: number } | void
+  const pending: { [key: string]: number } = {}
+
+  // Caches and streams can hand back the same pair object more than once,
+  // but that doesn't count as confirmation:
+  const held: WeakSet<EdgeRatePair> = new WeakSet()
+
+  return {
+    ...plugin,
+
+    async fetchRates(pairsHint) {
+      const pairs = await plugin.fetchRates(pairsHint)
+
+      if (accepted == null) {
+        const cache = await loadDiskCache(
+          pluginDisklet,
+          ACCEPTED_RATES_FILE,
+          asAcceptedRates
+        )
+        accepted = cache != null ? cache.data : {}
+      }
+      const lastRates = accepted
+
+      const out = []
+      let changed = false
+      for (const pair of pairs) {
+        const { fromCurrency, toCurrency, rate } = pair
+        if (held.has(pair)) continue
+        const key = `${fromCurrency}_${toCurrency}`
+        const lastRate = lastRates[key]
+
+        if (
+          lastRate != null &&
+          !isCloseRate(rate, lastRate, maxJump) &&
+          (pending[key] == null || !isCloseRate(rate, pending[key], maxJump))
+        ) {
+          log.warn(
+            `Holding back ${plugin.rateInfo.pluginId} ${fromCurrency}/${toCurrency} rate ${rate}, last accepted ${lastRate}`
+          )
+          pending[key] = rate
+          held.add(pair)
+          continue
+        }
+
+        delete pending[key]
+        if (lastRate !== rate) {
+          lastRates[key] = rate
+          changed = true
+        }
+        out.push(pair)
+      }
+
+      if (changed) {
+        await saveDiskCache(
+          pluginDisklet,
+          ACCEPTED_RATES_FILE,
+          lastRates
+        ).catch(() => {})
+      }
+      return out
+    }
+  }
+}
+
+/**
+ * Finds the oldest time in a list, unless some times are missing.
+ */
+export function oldestTime(times: Array<number | void>): number | void {
+  let out
+  for (const time of times) {
+    if (time == null) return
+    out = out == null ? time : Math.min(out, time)
+  }
+  return out
+}
+
+// Currencies we are willing to route through, in order of preference:
+const DEFAULT_BRIDGES = ['iso:USD', 'USDT', 'BTC']
+
+type RateEdge = {
+  rate: number,
+  time: number, // When the rate was priced, or else fetched
+  timestamp: number | void,
+  fetchedAt: number | void
+}
+
+/**
+ * Derives rates for hints the source pairs don't answer directly,
+ * by chaining them through up to two bridge currencies.
+ * When several routes work, the one whose oldest leg is freshest wins.
+ * Each derived pair lists the currencies it passed through in `route`.
+ */
+export function triangulateRates(
+  pairsHint: EdgeRateHint[],
+  pairs: EdgeRatePair[],
+  bridges: string[] = DEFAULT_BRIDGES
+): EdgeRatePair[] {
+  // Build a graph that goes both ways:
+  const edges: { [from: string]: { [to: string]: RateEdge } } = {}
+  function addEdge(from: string, to: string, edge: RateEdge): void {
+    if (edges[from] == null) edges[from] = {}
+    const existing = edges[from][to]
+    if (existing == null || existing.time < edge.time) {
+      edges[from][to] = edge
+    }
+  }
+  for (const pair of pairs) {
+    const { fromCurrency, toCurrency, rate } = pair
+    if (!(rate > 0) || !isFinite(rate)) continue
+    const { timestamp, fetchedAt } = (pair: any)
+    const time =
+      typeof timestamp === 'number'
+        ? timestamp
+        : typeof fetchedAt === 'number'
+        ? fetchedAt
+        : 0
+    const edge = { rate, time, timestamp, fetchedAt }
+    addEdge(fromCurrency, toCurrency, edge)
+    addEdge(toCurrency, fromCurrency, { ...edge, rate: 1 / rate })
+  }
+  const getEdge = (from: string, to: string): RateEdge | void =>
+    edges[from] != null ? edges[from][to] : undefined
+
+  const answered = new Set(
+    pairs.map(pair => `${pair.fromCurrency}_${pair.toCurrency}`)
+  )
+
+  const out = []
+  for (const hint of pairsHint) {
+    const { fromCurrency, toCurrency } = hint
+    const key = `${fromCurrency}_${toCurrency}`
+    if (fromCurrency === toCurrency || answered.has(key)) continue
+
+    // List every route with at most two bridges, shortest first:
+    const routes = [[fromCurrency, toCurrency]]
+    for (const bridge of bridges) {
+      routes.push([fromCurrency, bridge, toCurrency])
+    }
+    for (const first of bridges) {
+      for (const second of bridges) {
+        if (first !== second) {
+          routes.push([fromCurrency, first, second, toCurrency])
+        }
+      }
+    }
+
+    let best: { legs: RateEdge[], route: string[], time: number } | void
+    for (const route of routes) {
+      if (new Set(route).size !== route.length) continue
+      const legs = []
+      for (let i = 1; i < route.length; ++i) {
+        const edge = getEdge(route[i - 1], route[i])
+        if (edge == null) break
+        legs.push(edge)
+      }
+      if (legs.length !== route.length - 1) continue
+      const time = Math.min(...legs.map(leg => leg.time))
+      if (best == null || time > best.time) best = { legs, route, time }
+    }
+    if (best == null) continue
+
+    // The derived pair is only as fresh as its oldest leg:
+    const { legs, route } = best
+    answered.add(key)
+    out.push({
+      fromCurrency,
+      toCurrency,
+      rate: legs.reduce((rate, leg) => rate * leg.rate, 1),
+      timestamp: oldestTime(legs.map(leg => leg.timestamp)),
+      fetchedAt: oldestTime(legs.map(leg => leg.fetchedAt)),
+      derived: true,
+      route
+    })
+  }
+  return out
+}
+
+/**
+ * Reads the bridge currencies out of `initOptions.bridgeCurrencies`,
+ * where an empty array turns triangulation off.
+ */
+export function getBridgeCurrencies(opts: EdgeCorePluginOptions): string[] {
+  const { initOptions } = opts
+  return Array.isArray(initOptions.bridgeCurrencies)
+    ? asArray(asString)(initOptions.bridgeCurrencies)
+    : DEFAULT_BRIDGES
+}
+
+/**
+ * Wraps a rate plugin so it answers the hints it can't price directly
+ * by combining the pairs it did return.
+ * Set `initOptions.bridgeCurrencies` to change the bridges,
+ * or to an empty array to turn this off.
+ */
+export function withTriangulation(
+  opts: EdgeCorePluginOptions,
+  plugin: EdgeRatePlugin
+): EdgeRatePlugin {
+  const bridges = getBridgeCurrencies(opts)
+
+  return {
+    ...plugin,
+
+    async fetchRates(pairsHint) {
+      const pairs = await plugin.fetchRates(pairsHint)
+      return [...pairs, ...triangulateRates(pairsHint, pairs, bridges)]
+    }
+  }
+}
+
+// Derived & aggregated pairs carry extra fields that should survive too:
+const asLastGoodRates = asMap(
+  asObject({
+    fromCurrency: asString,
+    toCurrency: asString,
+    rate: asNumber,
+    timestamp: asOptional(asNumber),
+    fetchedAt: asOptional(asNumber),
+    source: asOptional(asString),
+    derived: asOptional(asBoolean),
+    route: asOptional(asArray(asString)),
+    sources: asOptional(asArray(asString)),
+    outliers: asOptional(asArray(asString))
+  })
+)
+
+const LAST_GOOD_RATES_FILE = 'lastGoodRates.json'
+
+// How long to keep serving old rates, in milliseconds:
+const DEFAULT_MAX_STALE_AGE = 1000 * 60 * 60 * 24
+
+/**
+ * Wraps a rate plugin so it remembers the last pairs it returned.
+ * If the plugin fails, or stops answering some hints,
+ * the remembered pairs fill the gap with `stale: true`
+ * and their `age` in milliseconds.
+ * Pairs older than `initOptions.maxStaleAge` (in milliseconds,
+ * defaulting to one day) are never served, and 0 turns this off.
+ */
+export function withLastGoodRates(
+  opts: EdgeCorePluginOptions,
+  plugin: EdgeRatePlugin
+): EdgeRatePlugin {
+  const { initOptions, log, pluginDisklet } = opts
+  const maxAge =
+    typeof initOptions.maxStaleAge === 'number'
+      ? initOptions.maxStaleAge
+      : DEFAULT_MAX_STALE_AGE
+  if (maxAge <= 0) return plugin
+
+  const { pluginId } = plugin.rateInfo
+  let lastGood: { [key: string]: EdgeRatePair } | void
+
+  return {
+    ...plugin,
+
+    async fetchRates(pairsHint) {
+      if (lastGood == null) {
+        const cache = await loadDiskCache(
+          pluginDisklet,
+          LAST_GOOD_RATES_FILE,
+          asLastGoodRates
+        )
+        lastGood = cache != null ? cache.data : {}
+      }
+      const remembered = lastGood
+
+      let pairs: EdgeRatePair[] = []
+      let error: mixed
+      try {
+        pairs = await plugin.fetchRates(pairsHint)
+      } catch (e) {
+        error = e
+      }
+
+      // Remember the fresh pairs, but only save them if they say
+      // something new, since a poll usually just repeats the last one:
+      const now = Date.now()
+      const answered = new Set()
+      let changed = false
+      for (const pair of pairs) {
+        const key = `${pair.fromCurrency}_${pair.toCurrency}`
+        answered.add(key)
+        const { fetchedAt = now } = (pair: any)
+        const old: any = remembered[key]
+        if (
+          old == null ||
+          old.rate !== pair.rate ||
+          old.timestamp !== (pair: any).timestamp ||
+          old.source !== (pair: any).source
+        ) {
+          changed = true
+        }
+        remembered[key] = { ...pair, fetchedAt }
+      }
+
+      // Forget the pairs that are too old to ever serve:
+      for (const key of Object.keys(remembered)) {
+        const { fetchedAt = 0 } = (remembered[key]: any)
+        if (now - fetchedAt > maxAge) {
+          delete remembered[key]
+          changed = true
+        }
+      }
+      if (changed) {
+        await saveDiskCache(
+          pluginDisklet,
+          LAST_GOOD_RATES_FILE,
+          remembered
+        ).catch(() => {})
+      }
+
+      // Fill in whatever the plugin couldn't answer this time,
+      // leaving alone any market it answered in either direction:
+      const stale = []
+      for (const hint of pairsHint) {
+        const { fromCurrency, toCurrency } = hint
+        const key = `${fromCurrency}_${toCurrency}`
+        const inverseKey = `${toCurrency}_${fromCurrency}`
+        if (answered.has(key) || answered.has(inverseKey)) continue
+        const pair =
+          remembered[key] != null ? remembered[key] : remembered[inverseKey]
+        if (pair == null) continue
+        const { fetchedAt = 0 } = (pair: any)
+        answered.add(`${pair.fromCurrency}_${pair.toCurrency}`)
+        stale.push({ ...pair, stale: true, age: now - fetchedAt })
+      }
+
+      if (error != null) {
+        if (stale.length === 0) throw error
+        log.warn(`${pluginId} failed, using last-known rates ${String(error)}`)
+      }
+      return [...pairs, ...stale]
+    }
+  }
+}
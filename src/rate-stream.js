@@ -0,0 +1,166 @@
+// @flow
+
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRateHint,
+  type EdgeRatePair,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+import { hintsKey } from './rate-helpers.js'
+
+/**
+ * Describes how to get live prices from an exchange's ticker socket.
+ */
+export type RateStreamSource = {
+  // The socket to connect to, or undefined if no hints can be streamed:
+  getUrl(pairsHint: EdgeRateHint[]): Promise<string | void>,
+
+  // Messages to send once the socket opens:
+  getSubscriptions?: (pairsHint: EdgeRateHint[]) => string[],
+
+  // Turns an incoming message into zero or more rate pairs:
+  parseMessage(message: string): EdgeRatePair[]
+}
+
+const MIN_RECONNECT_MS = 1000
+const MAX_RECONNECT_MS = 30000
+
+/**
+ * Wraps a rate plugin so it keeps the latest prices from a WebSocket feed
+ * in memory, answering `fetchRates` without a network round-trip.
+ * Streaming is off unless `initOptions.streaming` is true,
+ * and `initOptions.streamUrl` can point the plugin at some other server.
+ * Platforms without a global WebSocket, like Node,
+ * can pass a constructor in as `initOptions.WebSocket`.
+ * The plugin falls back on its normal REST requests
+ * for any hints the socket hasn't delivered prices for.
+ */
+export function withRateStream(
+  opts: EdgeCorePluginOptions,
+  plugin: EdgeRatePlugin,
+  source: RateStreamSource
+): EdgeRatePlugin {
+  const { initOptions, log } = opts
+  const { streaming = false, streamUrl } = initOptions
+  const Socket: Class<WebSocket> | void =
+    initOptions.WebSocket != null
+      ? initOptions.WebSocket
+      : typeof WebSocket !== 'undefined'
+      ? WebSocket
+      : undefined
+  if (!streaming || Socket == null) return plugin
+
+  const { pluginId } = plugin.rateInfo
+  let socket: WebSocket | void
+  let socketHints: EdgeRateHint[] = []
+  let socketKey: string | void
+  let connected = false
+  let reconnectDelay = MIN_RECONNECT_MS
+  let reconnectTimer: TimeoutID | void
+  let prices: { [key: string]: EdgeRatePair } = {}
+
+  function disconnect(): void {
+    if (reconnectTimer != null) clearTimeout(reconnectTimer)
+    reconnectTimer = undefined
+    if (socket != null) {
+      // Stop listening before closing, so we don't try to reconnect:
+      socket.onclose = () => {}
+      socket.close()
+    }
+    socket = undefined
+    connected = false
+    prices = {}
+  }
+
+  async function connect(): Promise<void> {
+    disconnect()
+    const key = socketKey
+    const url = await source.getUrl(socketHints)
+    if (url == null || key !== socketKey) return
+
+    const ws = new Socket(streamUrl != null ? streamUrl : url)
+    socket = ws
+
+    ws.onopen = () => {
+      connected = true
+      reconnectDelay = MIN_RECONNECT_MS
+      const { getSubscriptions } = source
+      if (getSubscriptions != null) {
+        for (const message of getSubscriptions(socketHints)) {
+          ws.send(message)
+        }
+      }
+    }
+
+    ws.onmessage = (event: MessageEvent) => {
+      const { data } = event
+      if (typeof data !== 'string') return
+      try {
+        const fetchedAt = Date.now()
+        for (const pair of source.parseMessage(data)) {
+          prices[`${pair.fromCurrency}_${pair.toCurrency}`] = {
+            fetchedAt,
+            ...pair
+          }
+        }
+      } catch (e) {
+        log.warn(`Issue with ${pluginId} stream message ${e}`)
+      }
+    }
+
+    ws.onerror = () => {}
+
+    ws.onclose = () => {
+      socket = undefined
+      connected = false
+      prices = {}
+      log.warn(`${pluginId} stream closed, reconnecting in ${reconnectDelay}ms`)
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = undefined
+        connect().catch(e => log.warn(`${pluginId} stream failed ${e}`))
+      }, reconnectDelay)
+      reconnectDelay = Math.min(2 * reconnectDelay, MAX_RECONNECT_MS)
+    }
+  }
+
+  return {
+    ...plugin,
+
+    async fetchRates(pairsHint) {
+      // Re-subscribe if the core starts asking for different pairs:
+      const key = hintsKey(pairsHint)
+      if (key !== socketKey) {
+        socketKey = key
+        socketHints = pairsHint
+        connect().catch(e => log.warn(`${pluginId} stream failed ${e}`))
+      }
+
+      if (!connected) return plugin.fetchRates(pairsHint)
+
+      // Use streamed prices where we have them, in either direction:
+      const pairs: EdgeRatePair[] = []
+      const missing: EdgeRateHint[] = []
+      for (const hint of pairsHint) {
+        const { fromCurrency, toCurrency } = hint
+        const key = `${fromCurrency}_${toCurrency}`
+        const inverseKey = `${toCurrency}_${fromCurrency}`
+        const pair = prices[key] != null ? prices[key] : prices[inverseKey]
+        if (pair == null) missing.push(hint)
+        else if (!pairs.includes(pair)) pairs.push(pair)
+      }
+      if (missing.length === 0) return pairs
+
+      // Streamed prices win over REST prices for the same pair:
+      const included = new Set(
+        pairs.map(pair => `${pair.fromCurrency}_${pair.toCurrency}`)
+      )
+      for (const pair of await plugin.fetchRates(missing)) {
+        if (!included.has(`${pair.fromCurrency}_${pair.toCurrency}`)) {
+          pairs.push(pair)
+        }
+      }
+      return pairs
+    }
+  }
+}
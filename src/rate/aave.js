@@ -0,0 +1,154 @@
+// @flow
+
+import {
+  asArray,
+  asMap,
+  asNumber,
+  asObject,
+  asOptional,
+  asString
+} from 'cleaners'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRatePair,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+import { withRateCache } from '../rate-helpers.js'
+
+const asRpcReply = asArray(
+  asObject({
+    id: asNumber,
+    result: asOptional(asString, null) // Missing for failed calls
+  })
+)
+
+const asStaticTokens = asMap(
+  asObject({
+    underlying: asString,
+    address: asString
+  })
+)
+
+// rate():
+const RATE_SELECTOR = '0x2c4e722e'
+
+// Aave returns ray-precision fixed-point numbers:
+const RAY = 1e27
+
+/**
+ * Aave v3 static aTokens on Ethereum, along with their underlying currency
+ * codes. These wrappers don't rebase, so each share is worth more
+ * underlying currency as interest accrues.
+ */
+const defaultStaticTokens = {
+  STATAETHUSDC: {
+    underlying: 'USDC',
+    address: '0x73eddfa87c71addc275c2b9890f5c3a8480bc9e6'
+  },
+  STATAETHUSDT: {
+    underlying: 'USDT',
+    address: '0x862c57d48becb45583aeba3f489696d22466ca1b'
+  },
+  STATAETHDAI: {
+    underlying: 'DAI',
+    address: '0xaf270c38ff895ea3f95ed488ceace2386f038249'
+  },
+  STATAETHWETH: {
+    underlying: 'WETH',
+    address: '0x252231882fb38481497f3c767469106297c8d93b'
+  },
+  STATAETHWBTC: {
+    underlying: 'WBTC',
+    address: '0xb07e357cc262e92eee03d8b81464d596b258ea7a'
+  }
+}
+
+/**
+ * Prices Aave's non-rebasing static aTokens in terms of their underlying
+ * currencies, using each wrapper's own `rate()` getter.
+ * `initOptions.staticTokens` can add more wrappers or replace the defaults.
+ * Rebasing aTokens are always worth 1:1, so the constantRate plugin
+ * pegs those instead.
+ */
+export function makeAavePlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
+  const { initOptions, io, log } = opts
+  const { rpcUrl = 'https://cloudflare-eth.com' } = initOptions
+  const staticTokens = {
+    ...defaultStaticTokens,
+    ...asStaticTokens(initOptions.staticTokens || {})
+  }
+
+  /**
+   * Asks each static token how many underlying units one share is worth,
+   * using a single batched JSON-RPC request.
+   */
+  async function fetchRatios(
+    currencyCodes: string[]
+  ): Promise<{ [currencyCode: string]: number }> {
+    const body = currencyCodes.map((currencyCode, id) => ({
+      jsonrpc: '2.0',
+      id,
+      method: 'eth_call',
+      params: [
+        { to: staticTokens[currencyCode].address, data: RATE_SELECTOR },
+        'latest'
+      ]
+    }))
+    const reply = await io.fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    if (!reply.ok) throw new Error(`Aave RPC returned ${reply.status}`)
+
+    const out = {}
+    for (const result of asRpcReply(await reply.json())) {
+      const currencyCode = currencyCodes[result.id]
+      if (result.result == null) continue
+      const ratio = parseInt(result.result, 16) / RAY
+      if (currencyCode != null && ratio > 0) out[currencyCode] = ratio
+    }
+    return out
+  }
+
+  return withRateCache(opts, {
+    rateInfo: {
+      pluginId: 'aave',
+      displayName: 'Aave'
+    },
+
+    async fetchRates(pairsHint) {
+      const currencyCodes = []
+      for (const pair of pairsHint) {
+        for (const currencyCode of [pair.fromCurrency, pair.toCurrency]) {
+          if (staticTokens[currencyCode] == null) continue
+          if (currencyCodes.includes(currencyCode)) continue
+          currencyCodes.push(currencyCode)
+        }
+      }
+      if (currencyCodes.length === 0) return []
+
+      // The ratios only ever grow, so a 1:1 peg would be wrong.
+      // If this fails, the last ratio we saw fills in:
+      const pairs: EdgeRatePair[] = []
+      try {
+        const ratios = await fetchRatios(currencyCodes)
+        const fetchedAt = Date.now()
+        for (const currencyCode of Object.keys(ratios)) {
+          const { address, underlying } = staticTokens[currencyCode]
+          pairs.push({
+            fromCurrency: currencyCode,
+            toCurrency: underlying,
+            rate: ratios[currencyCode],
+            fetchedAt,
+            source: address
+          })
+        }
+      } catch (e) {
+        log.warn(`Issue with Aave static token data ${e}`)
+      }
+      return pairs
+    }
+  })
+}
@@ -0,0 +1,266 @@
+// @flow
+
+import { navigateDisklet } from 'disklet'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRateHint,
+  type EdgeRatePair,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+import {
+  getBridgeCurrencies,
+  oldestTime,
+  triangulateRates
+} from '../rate-helpers.js'
+import { makeBinancePlugin } from './binance.js'
+import { makeBitMaxPlugin } from './bitmax.js'
+import { makeCoinbasePlugin } from './coinbase.js'
+import { makeCoincapPlugin } from './coincap.js'
+import { makeCoinGeckoPlugin } from './coingecko.js'
+import { makeCoinMarketCapPlugin } from './coinmarketcap.js'
+import { makeCoinmonitorPlugin } from './coinmonitor.js'
+import { makeCompoundPlugin } from './compound.js'
+import { makeCurrencyconverterapiPlugin } from './currencyconverterapi.js'
+import { makeEcbPlugin } from './ecb.js'
+import { makeEdgeRatesPlugin } from './edgeRates.js'
+import { makeKrakenPlugin } from './kraken.js'
+import { makeNomicsPlugin } from './nomics.js'
+import { makeWazirxPlugin } from './wazirx.js'
+
+type MakeRatePlugin = (opts: EdgeCorePluginOptions) => EdgeRatePlugin
+
+const sourcePlugins: { [pluginId: string]: MakeRatePlugin } = {
+  binance: makeBinancePlugin,
+  bitmax: makeBitMaxPlugin,
+  coinbase: makeCoinbasePlugin,
+  coincap: makeCoincapPlugin,
+  coingecko: makeCoinGeckoPlugin,
+  coinmarketcap: makeCoinMarketCapPlugin,
+  coinmonitor: makeCoinmonitorPlugin,
+  compound: makeCompoundPlugin,
+  currencyconverterapi: makeCurrencyconverterapiPlugin,
+  ecb: makeEcbPlugin,
+  edgeRates: makeEdgeRatesPlugin,
+  kraken: makeKrakenPlugin,
+  nomics: makeNomicsPlugin,
+  wazirx: makeWazirxPlugin
+}
+
+// Used when the init options don't list any sources:
+const defaultSources = { coinbase: true, coincap: true, coingecko: true }
+
+// How far a source can stray from the median, as a fraction:
+const DEFAULT_MAX_DEVIATION = 0.1
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Lists the legs of every route that could link each hint through
+ * the bridge currencies.
+ */
+function getBridgeHints(
+  pairsHint: EdgeRateHint[],
+  bridges: string[]
+): EdgeRateHint[] {
+  const out: { [key: string]: EdgeRateHint } = {}
+  const addHint = (fromCurrency: string, toCurrency: string) => {
+    if (fromCurrency === toCurrency) return
+    out[`${fromCurrency}_${toCurrency}`] = { fromCurrency, toCurrency }
+  }
+  for (const { fromCurrency, toCurrency } of pairsHint) {
+    for (const bridge of bridges) {
+      addHint(fromCurrency, bridge)
+      addHint(bridge, toCurrency)
+    }
+  }
+  for (const first of bridges) {
+    for (const second of bridges) addHint(first, second)
+  }
+  return Object.keys(out).map(key => out[key])
+}
+
+export function makeAggregatePlugin(
+  opts: EdgeCorePluginOptions
+): EdgeRatePlugin {
+  const { initOptions, log, pluginDisklet } = opts
+  const {
+    sources = defaultSources,
+    maxDeviation = DEFAULT_MAX_DEVIATION
+  } = initOptions
+  const bridges = getBridgeCurrencies(opts)
+
+  // Each source gets its own init options and storage folder:
+  const plugins: { [pluginId: string]: EdgeRatePlugin } = {}
+  for (const pluginId of Object.keys(sources)) {
+    const sourceOptions = sources[pluginId]
+    if (sourceOptions === false || sourceOptions == null) continue
+    if (sourcePlugins[pluginId] == null) {
+      log.warn(`Unknown aggregate rate source ${pluginId}`)
+      continue
+    }
+    try {
+      plugins[pluginId] = sourcePlugins[pluginId]({
+        ...opts,
+        initOptions: typeof sourceOptions === 'object' ? sourceOptions : {},
+        pluginDisklet: navigateDisklet(pluginDisklet, pluginId)
+      })
+    } catch (e) {
+      log.warn(`Could not start aggregate rate source ${pluginId} ${e}`)
+    }
+  }
+
+  // The last rate each market settled on:
+  const lastRates: { [key: string]: number } = {}
+
+  /**
+   * Asks every source about the hints, and takes the median of each market,
+   * returning it in both directions.
+   */
+  async function fetchMedians(
+    pairsHint: EdgeRateHint[]
+  ): Promise<EdgeRatePair[]> {
+    const pluginIds = Object.keys(plugins)
+    const results = await Promise.all(
+      pluginIds.map(pluginId =>
+        plugins[pluginId].fetchRates(pairsHint).catch(e => {
+          log.warn(`Aggregate rate source ${pluginId} failed ${e}`)
+          return []
+        })
+      )
+    )
+
+    // Group the rates by market, with both directions in the same order,
+    // so each source gets one say per market:
+    const quotes: {
+      [key: string]: {
+        fromCurrency: string,
+        toCurrency: string,
+        rates: Array<{
+          pluginId: string,
+          rate: number,
+          timestamp: number | void,
+          fetchedAt: number | void
+        }>
+      }
+    } = {}
+    for (let i = 0; i < pluginIds.length; ++i) {
+      const pluginId = pluginIds[i]
+      for (const pair of results[i]) {
+        const { timestamp, fetchedAt } = (pair: any)
+        if (!(pair.rate > 0) || !isFinite(pair.rate)) continue
+        const inverse = pair.fromCurrency > pair.toCurrency
+        const fromCurrency = inverse ? pair.toCurrency : pair.fromCurrency
+        const toCurrency = inverse ? pair.fromCurrency : pair.toCurrency
+        const rate = inverse ? 1 / pair.rate : pair.rate
+
+        const key = `${fromCurrency}_${toCurrency}`
+        if (quotes[key] == null) {
+          quotes[key] = { fromCurrency, toCurrency, rates: [] }
+        }
+        const { rates } = quotes[key]
+        if (rates.some(quote => quote.pluginId === pluginId)) continue
+        rates.push({ pluginId, rate, timestamp, fetchedAt })
+      }
+    }
+
+    // Each pair lists the sources that agreed and the ones we dropped,
+    // and is only as fresh as the oldest source that agreed:
+    const pairs: EdgeRatePair[] = []
+    for (const key of Object.keys(quotes)) {
+      const { fromCurrency, toCurrency, rates } = quotes[key]
+      const isClose = (rate: number, center: number) =>
+        Math.abs(rate - center) / center <= maxDeviation
+      const center = median(rates.map(quote => quote.rate))
+      let agreed = rates.filter(quote => isClose(quote.rate, center))
+
+      // With nothing near the median, trust whoever is closest
+      // to the rate we settled on last time:
+      const lastRate = lastRates[key]
+      if (agreed.length === 0 && lastRate != null) {
+        agreed = rates
+          .filter(quote => isClose(quote.rate, lastRate))
+          .sort(
+            (a, b) => Math.abs(a.rate - lastRate) - Math.abs(b.rate - lastRate)
+          )
+          .slice(0, 1)
+      }
+      if (agreed.length === 0) {
+        log.warn(
+          `Sources disagree on ${fromCurrency}/${toCurrency}: ${rates
+            .map(quote => `${quote.pluginId} ${quote.rate}`)
+            .join(', ')}`
+        )
+        continue
+      }
+
+      const outliers = rates.filter(quote => !agreed.includes(quote))
+      if (outliers.length > 0) {
+        log.warn(
+          `Dropping ${fromCurrency}/${toCurrency} outliers from ${outliers
+            .map(quote => quote.pluginId)
+            .join(', ')}`
+        )
+      }
+
+      const rate = median(agreed.map(quote => quote.rate))
+      lastRates[key] = rate
+      const info = {
+        timestamp: oldestTime(agreed.map(quote => quote.timestamp)),
+        fetchedAt: oldestTime(agreed.map(quote => quote.fetchedAt)),
+        source: 'median',
+        sources: agreed.map(quote => quote.pluginId),
+        outliers: outliers.map(quote => quote.pluginId)
+      }
+      pairs.push({ fromCurrency, toCurrency, rate, ...info })
+      pairs.push({
+        fromCurrency: toCurrency,
+        toCurrency: fromCurrency,
+        rate: 1 / rate,
+        ...info
+      })
+    }
+    return pairs
+  }
+
+  return {
+    rateInfo: {
+      pluginId: 'aggregate',
+      displayName: 'Aggregate'
+    },
+
+    async fetchRates(pairsHint) {
+      const pairs = await fetchMedians(pairsHint)
+      const answered = new Set(
+        pairs.map(pair => `${pair.fromCurrency}_${pair.toCurrency}`)
+      )
+      const unanswered = pairsHint.filter(
+        hint =>
+          hint.fromCurrency !== hint.toCurrency &&
+          !answered.has(`${hint.fromCurrency}_${hint.toCurrency}`)
+      )
+      if (unanswered.length === 0 || bridges.length === 0) return pairs
+
+      // Gather the route legs from every source, so one route
+      // can combine rates that no single source has:
+      const hinted = new Set(
+        pairsHint.map(hint => `${hint.fromCurrency}_${hint.toCurrency}`)
+      )
+      const legHints = getBridgeHints(unanswered, bridges).filter(
+        hint => !hinted.has(`${hint.fromCurrency}_${hint.toCurrency}`)
+      )
+      const legs = await fetchMedians(legHints)
+      return [
+        ...pairs,
+        ...legs,
+        ...triangulateRates(unanswered, [...pairs, ...legs], bridges)
+      ]
+    }
+  }
+}
@@ -0,0 +1,83 @@
+// @flow
+
+import { asArray, asObject, asString } from 'cleaners'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+import { withRateCache } from '../rate-helpers.js'
+
+const asBinanceTickers = asArray(
+  asObject({
+    symbol: asString, // Base and quote run together, like ETHBTC
+    price: asString
+  })
+)
+
+function checkIfFiat(code: string): boolean {
+  return code.indexOf('iso:') === 0
+}
+
+export function makeBinancePlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
+  const { io, log } = opts
+
+  return withRateCache(opts, {
+    rateInfo: {
+      pluginId: 'binance',
+      displayName: 'Binance'
+    },
+
+    async fetchRates(pairsHint) {
+      // Binance has no fiat markets:
+      const wanted = pairsHint.filter(
+        pair =>
+          !checkIfFiat(pair.fromCurrency) &&
+          !checkIfFiat(pair.toCurrency) &&
+          pair.fromCurrency !== pair.toCurrency
+      )
+      if (wanted.length === 0) return []
+
+      const pairs = []
+      try {
+        // One request covers every symbol:
+        const reply = await io.fetch(
+          'https://api.binance.com/api/v3/ticker/price'
+        )
+        const fetchedAt = Date.now()
+        if (!reply.ok) throw new Error(`Binance returned ${reply.status}`)
+        const prices: { [symbol: string]: number } = {}
+        for (const ticker of asBinanceTickers(await reply.json())) {
+          const price = Number(ticker.price)
+          if (price > 0) prices[ticker.symbol] = price
+        }
+
+        for (const pair of wanted) {
+          const { fromCurrency, toCurrency } = pair
+          const symbol = `${fromCurrency}${toCurrency}`
+          const inverseSymbol = `${toCurrency}${fromCurrency}`
+          if (prices[symbol] != null) {
+            pairs.push({
+              fromCurrency,
+              toCurrency,
+              rate: prices[symbol],
+              fetchedAt,
+              source: symbol
+            })
+          } else if (prices[inverseSymbol] != null) {
+            pairs.push({
+              fromCurrency,
+              toCurrency,
+              rate: 1 / prices[inverseSymbol],
+              fetchedAt,
+              source: inverseSymbol
+            })
+          }
+        }
+      } catch (e) {
+        log.warn(`Issue with Binance rate data structure ${e}`)
+      }
+      return pairs
+    }
+  })
+}
@@ -1,50 +1,122 @@
 // @flow
 
-import { asObject, asString } from 'cleaners'
+import { asArray, asEither, asObject, asString } from 'cleaners'
 import {
   type EdgeCorePluginOptions,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
-const asBitMaxTickerResponse = asObject({ data: asObject({ close: asString }) })
+import { makeDiskCacheLoader, withRateCache } from '../rate-helpers.js'
+
+const asBitMaxTicker = asObject({ symbol: asString, close: asString })
+
+// BitMax returns a bare object when the query has a single symbol:
+const asBitMaxTickerResponse = asObject({
+  data: asEither(asArray(asBitMaxTicker), asBitMaxTicker)
+})
+
+const asBitMaxProductsResponse = asObject({
+  data: asArray(
+    asObject({
+      symbol: asString,
+      status: asString
+    })
+  )
+})
+
+const asProductList = asArray(asString)
+
+const PRODUCTS_FILE = 'products.json'
+const PRODUCTS_REFRESH_MS = 1000 * 60 * 60 * 24
+
+// Markets to try for each currency, in order of preference:
+const quoteCurrencies = ['USDT', 'BTC']
 
 export function makeBitMaxPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
-  const { io, log } = opts
+  const { io, log, pluginDisklet } = opts
   const { fetchCors = io.fetch } = io
 
-  return {
+  // The symbols BitMax is currently trading:
+  let products: string[] = []
+
+  async function fetchProducts(): Promise<string[]> {
+    const response = await fetchCors('https://bitmax.io/api/pro/v1/products')
+    if (!response.ok) {
+      throw new Error(`BitMax products returned ${response.status}`)
+    }
+    const json = await response.json()
+    return asBitMaxProductsResponse(json)
+      .data.filter(product => product.status === 'Normal')
+      .map(product => product.symbol)
+  }
+
+  const loadProducts = makeDiskCacheLoader({
+    disklet: pluginDisklet,
+    path: PRODUCTS_FILE,
+    asData: asProductList,
+    maxAge: PRODUCTS_REFRESH_MS,
+    // The one market the plugin priced before the product list existed:
+    fallback: ['FIO/USDT'],
+    fetchData: fetchProducts,
+    onError: e => log.warn(`Failed to update BitMax product list ${e}`)
+  })
+
+  async function updateProducts(): Promise<void> {
+    products = await loadProducts()
+  }
+
+  return withRateCache(opts, {
     rateInfo: {
       pluginId: 'bitmax',
       displayName: 'BitMax'
     },
 
     async fetchRates(pairsHint) {
+      await updateProducts()
+
+      // Pick the best market for each hinted currency:
+      const markets: { [symbol: string]: string } = {}
       for (const pair of pairsHint) {
-        // BitMax is only used to query FIO price
-        if (pair.fromCurrency !== 'FIO') continue
-        try {
-          const response = await fetchCors(
-            'https://bitmax.io/api/pro/v1/ticker?symbol=FIO/USDT'
-          )
-          const json = await response.json()
-          if (!response.ok || json.reason === 'DATA_NOT_AVAILABLE') {
-            // Return fixed rate if data is unavailable
+        const { fromCurrency } = pair
+        for (const quote of quoteCurrencies) {
+          const symbol = `${fromCurrency}/${quote}`
+          if (fromCurrency !== quote && products.includes(symbol)) {
+            markets[symbol] = fromCurrency
             break
           }
-          const rate = Number(asBitMaxTickerResponse(json).data.close)
-          return [
-            {
-              fromCurrency: 'FIO',
-              toCurrency: 'USDT',
-              rate
-            }
-          ]
-        } catch (e) {
-          log.warn(`Issue with Bitmax rate data structure ${e}`)
-          break
         }
       }
-      return []
+      const symbols = Object.keys(markets)
+      if (symbols.length === 0) return []
+
+      const pairs = []
+      try {
+        const response = await fetchCors(
+          `https://bitmax.io/api/pro/v1/ticker?symbol=${symbols.join(',')}`
+        )
+        const fetchedAt = Date.now()
+        const json = await response.json()
+        if (!response.ok || json.reason === 'DATA_NOT_AVAILABLE') return []
+
+        const { data } = asBitMaxTickerResponse(json)
+        const tickers = Array.isArray(data) ? data : [data]
+        for (const ticker of tickers) {
+          const fromCurrency = markets[ticker.symbol]
+          if (fromCurrency == null) continue
+          const rate = Number(ticker.close)
+          if (!(rate > 0)) continue
+          pairs.push({
+            fromCurrency,
+            toCurrency: ticker.symbol.split('/')[1],
+            rate,
+            fetchedAt,
+            source: ticker.symbol
+          })
+        }
+      } catch (e) {
+        log.warn(`Issue with Bitmax rate data structure ${e}`)
+      }
+      return pairs
     }
-  }
+  })
 }
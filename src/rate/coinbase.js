@@ -1,50 +1,161 @@
 // @flow
 
-import { asMap, asObject, asString } from 'cleaners'
+import { asMap, asObject, asOptional, asString } from 'cleaners'
 import {
   type EdgeCorePluginOptions,
+  type EdgeRateHint,
+  type EdgeRatePair,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { withRateCache } from '../rate-helpers.js'
+import { withRateStream } from '../rate-stream.js'
+
 const asCoinbaseResponse = asObject({
   data: asObject({
     rates: asMap(asString)
   })
 })
 
+const asCoinbaseTicker = asObject({
+  product_id: asString,
+  price: asString,
+  time: asOptional(asString)
+})
+
+function checkIfFiat(code: string): boolean {
+  if (code.indexOf('iso:') >= 0) return true
+  return false
+}
+
+/**
+ * Finds the crypto/fiat Coinbase Pro products that match the hints.
+ */
+function getProductIds(pairsHint: EdgeRateHint[]): string[] {
+  const out = []
+  for (const pair of pairsHint) {
+    const { fromCurrency, toCurrency } = pair
+    let productId
+    if (!checkIfFiat(fromCurrency) && checkIfFiat(toCurrency)) {
+      productId = `${fromCurrency}-${toCurrency.replace(/^iso:/, '')}`
+    } else if (checkIfFiat(fromCurrency) && !checkIfFiat(toCurrency)) {
+      productId = `${toCurrency}-${fromCurrency.replace(/^iso:/, '')}`
+    }
+    if (productId != null && !out.includes(productId)) out.push(productId)
+  }
+  return out
+}
+
 export function makeCoinbasePlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
   const { io, log } = opts
 
-  return {
+  /**
+   * Fetches the rates for a single fiat base currency,
+   * returning pairs in both directions.
+   */
+  async function fetchBaseRates(
+    base: string,
+    currencyCodes: string[]
+  ): Promise<EdgeRatePair[]> {
+    const pairs = []
+    try {
+      const currency = base.replace(/^iso:/, '')
+      const source = `https://api.coinbase.com/v2/exchange-rates?currency=${currency}`
+      const reply = await io.fetch(source)
+      const fetchedAt = Date.now()
+      const json = await reply.json()
+      const { rates } = asCoinbaseResponse(json).data
+      for (const cc of currencyCodes) {
+        const code = cc.replace(/^iso:/, '')
+        if (!rates[code]) continue
+        const rate = Number(rates[code])
+        if (!(rate > 0)) continue
+        pairs.push({
+          fromCurrency: base,
+          toCurrency: cc,
+          rate,
+          fetchedAt,
+          source
+        })
+        pairs.push({
+          fromCurrency: cc,
+          toCurrency: base,
+          rate: 1 / rate,
+          fetchedAt,
+          source
+        })
+      }
+    } catch (e) {
+      log.warn(`Issue with Coinbase rate data structure for ${base} ${e}`)
+    }
+    return pairs
+  }
+
+  const plugin = withRateCache(opts, {
     rateInfo: {
       pluginId: 'coinbase',
       displayName: 'Coinbase'
     },
 
     async fetchRates(pairsHint) {
-      const pairs = []
-      try {
-        const reply = await io.fetch(
-          'https://api.coinbase.com/v2/exchange-rates'
-        )
-        const json = await reply.json()
-        const cleanJson = asCoinbaseResponse(json)
-        for (const pair of pairsHint) {
-          const cc = pair.fromCurrency
-          if (!cleanJson.data.rates[cc]) continue
-          const rate = Number(cleanJson.data.rates[cc])
-          pairs.push({
-            fromCurrency: 'iso:USD',
-            toCurrency: cc,
-            rate
-          })
+      // Group the hints by their fiat side:
+      const codesByBase: { [base: string]: string[] } = {}
+      for (const pair of pairsHint) {
+        let base = 'iso:USD'
+        let cc = pair.fromCurrency
+        if (checkIfFiat(pair.toCurrency)) {
+          base = pair.toCurrency
+        } else if (checkIfFiat(pair.fromCurrency)) {
+          base = pair.fromCurrency
+          cc = pair.toCurrency
         }
-      } catch (e) {
-        log.warn(`Issue with Coinbase rate data structure ${e}`)
+        if (cc === base) continue
+        if (codesByBase[base] == null) codesByBase[base] = []
+        if (!codesByBase[base].includes(cc)) codesByBase[base].push(cc)
       }
-      return pairs
+
+      const results = await Promise.all(
+        Object.keys(codesByBase).map(base =>
+          fetchBaseRates(base, codesByBase[base])
+        )
+      )
+      return [].concat(...results)
     }
-  }
+  })
+
+  return withRateStream(opts, plugin, {
+    async getUrl(pairsHint) {
+      if (getProductIds(pairsHint).length === 0) return
+      return 'wss://ws-feed.pro.coinbase.com'
+    },
+
+    getSubscriptions(pairsHint) {
+      return [
+        JSON.stringify({
+          type: 'subscribe',
+          product_ids: getProductIds(pairsHint),
+          channels: ['ticker']
+        })
+      ]
+    },
+
+    parseMessage(message) {
+      const json = JSON.parse(message)
+      if (json.type !== 'ticker') return []
+      const ticker = asCoinbaseTicker(json)
+      const [cc, fiat] = ticker.product_id.split('-')
+      const rate = Number(ticker.price)
+      if (!(rate > 0)) return []
+      const info = {
+        timestamp: ticker.time != null ? Date.parse(ticker.time) : undefined,
+        source: ticker.product_id
+      }
+      return [
+        { fromCurrency: cc, toCurrency: `iso:${fiat}`, rate, ...info },
+        { fromCurrency: `iso:${fiat}`, toCurrency: cc, rate: 1 / rate, ...info }
+      ]
+    }
+  })
 }
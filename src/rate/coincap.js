@@ -1,70 +1,236 @@
 // @flow
 
-import { asArray, asObject, asString } from 'cleaners'
+import {
+  asArray,
+  asMap,
+  asNumber,
+  asObject,
+  asOptional,
+  asString
+} from 'cleaners'
 import {
   type EdgeCorePluginOptions,
+  type EdgeRateHint,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import {
+  cacheHistoricalRates,
+  makeDiskCacheLoader,
+  withRateCache
+} from '../rate-helpers.js'
+import { withRateStream } from '../rate-stream.js'
+
 const asCoincapResponse = asObject({
-  data: asObject({
-    priceUsd: asString
-  })
+  data: asArray(
+    asObject({
+      id: asString,
+      priceUsd: asOptional(asString, null)
+    })
+  ),
+  timestamp: asOptional(asNumber)
 })
 
-const asCoincapAssets = asArray(
-  asObject({
-    id: asString,
-    symbol: asString
-  })
-)
+const asCoincapAssets = asObject({
+  data: asArray(
+    asObject({
+      id: asString,
+      symbol: asString
+    })
+  )
+})
 
-const currencyMap = {}
+const asCoincapHistory = asObject({
+  data: asArray(
+    asObject({
+      priceUsd: asString,
+      time: asNumber
+    })
+  )
+})
+
+const asAssetMap = asMap(asString)
+
+// The price stream sends asset ids with their new USD prices:
+const asCoincapPrices = asMap(asString)
+
+const ASSET_MAP_FILE = 'assetMap.json'
+const ASSET_MAP_REFRESH_MS = 1000 * 60 * 60 * 24
+const HISTORY_RESOLUTION_MS = 1000 * 60 * 60
+const STREAM_URL = 'wss://ws.coincap.io/prices'
+
+/**
+ * Currency codes that should be priced as some other Coincap symbol.
+ */
+const defaultAliases = {
+  REPV2: 'REP'
+}
 
 export function makeCoincapPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
-  const { io, log } = opts
+  const { initOptions, io, log, pluginDisklet } = opts
   const fetch = io.fetchCors || io.fetch
+  const aliases: { [currencyCode: string]: string } = {
+    ...defaultAliases,
+    ...initOptions.aliases
+  }
+
+  // Maps Coincap symbols to asset ids:
+  let assetMap: { [symbol: string]: string } = {}
+
+  async function fetchAssetMap(): Promise<{ [symbol: string]: string }> {
+    const reply = await fetch('https://api.coincap.io/v2/assets?limit=2000')
+    if (!reply.ok) throw new Error(`Coincap assets returned ${reply.status}`)
+    const assets = asCoincapAssets(await reply.json()).data
+
+    // The list is sorted by rank, so the first match wins:
+    const out = {}
+    for (const asset of assets) {
+      if (out[asset.symbol] == null) out[asset.symbol] = asset.id
+    }
+    return out
+  }
 
-  return {
+  const loadAssetMap = makeDiskCacheLoader({
+    disklet: pluginDisklet,
+    path: ASSET_MAP_FILE,
+    asData: asAssetMap,
+    maxAge: ASSET_MAP_REFRESH_MS,
+    fallback: {},
+    fetchData: fetchAssetMap,
+    onError: e => log.warn(`Failed to update Coincap asset map ${e}`)
+  })
+
+  async function updateAssetMap(): Promise<void> {
+    assetMap = await loadAssetMap()
+  }
+
+  /**
+   * Coincap only provides prices in USD and must be queried by unique identifier rather that currency code.
+   * Several currency codes can share an asset, thanks to the aliases.
+   */
+  function groupCodesById(
+    pairsHint: EdgeRateHint[]
+  ): {
+    [id: string]: string[]
+  } {
+    const codesById = {}
+    for (const pair of pairsHint) {
+      const { fromCurrency } = pair
+      const symbol = aliases[fromCurrency] || fromCurrency
+      const id = assetMap[symbol]
+      if (id == null) continue
+      if (codesById[id] == null) codesById[id] = []
+      if (!codesById[id].includes(fromCurrency)) {
+        codesById[id].push(fromCurrency)
+      }
+    }
+    return codesById
+  }
+
+  /**
+   * Finds the hourly Coincap price closest to the requested time.
+   */
+  async function fetchHistoricalRate(
+    pair: EdgeRateHint,
+    date: Date
+  ): Promise<number | void> {
+    if (pair.toCurrency !== 'iso:USD') return
+    await updateAssetMap()
+    const { fromCurrency } = pair
+    const id = assetMap[aliases[fromCurrency] || fromCurrency]
+    if (id == null) return
+
+    const start = date.valueOf() - HISTORY_RESOLUTION_MS
+    const end = date.valueOf() + HISTORY_RESOLUTION_MS
+    const reply = await fetch(
+      `https://api.coincap.io/v2/assets/${id}/history?interval=h1&start=${start}&end=${end}`
+    )
+    if (!reply.ok) throw new Error(`Coincap history returned ${reply.status}`)
+    const history = asCoincapHistory(await reply.json()).data
+
+    let best
+    for (const point of history) {
+      const distance = Math.abs(point.time - date.valueOf())
+      if (best == null || distance < best.distance) {
+        best = { distance, rate: parseFloat(point.priceUsd) }
+      }
+    }
+    if (best != null) return best.rate
+  }
+
+  const plugin = withRateCache(opts, {
     rateInfo: {
       pluginId: 'coincap',
       displayName: 'Coincap'
     },
 
     async fetchRates(pairsHint) {
+      await updateAssetMap()
+      const codesById = groupCodesById(pairsHint)
+      const ids = Object.keys(codesById)
+      if (ids.length === 0) return []
+
       const pairs = []
-      if (Object.keys(currencyMap).length === 0) {
-        const assets = await fetch(`https://api.coincap.io/v2/assets/`)
-        const assetsJson = await assets.json()
-        const assetIds = asCoincapAssets(assetsJson.data)
-        assetIds.forEach(code => (currencyMap[code.symbol] = code.id))
-      }
-      for (const pair of pairsHint) {
-        // Coincap only provides prices in USD and must be queried by unique identifier rather that currency code
-        if (!currencyMap[pair.fromCurrency]) continue
-        try {
-          const reply = await fetch(
-            `https://api.coincap.io/v2/assets/${currencyMap[pair.fromCurrency]}`
-          )
-          const json = await reply.json()
-          const rate = parseFloat(asCoincapResponse(json).data.priceUsd)
-          if (pair.fromCurrency === 'REP') {
+      try {
+        const source = 'https://api.coincap.io/v2/assets'
+        const reply = await fetch(`${source}?ids=${ids.join(',')}`)
+        const fetchedAt = Date.now()
+        const { data, timestamp } = asCoincapResponse(await reply.json())
+        for (const asset of data) {
+          if (codesById[asset.id] == null || asset.priceUsd == null) continue
+          const rate = parseFloat(asset.priceUsd)
+          for (const fromCurrency of codesById[asset.id]) {
             pairs.push({
-              fromCurrency: 'REPV2',
+              fromCurrency,
               toCurrency: 'iso:USD',
-              rate
+              rate,
+              timestamp,
+              fetchedAt,
+              source
             })
           }
+        }
+      } catch (e) {
+        log.warn(`Issue with Coincap rate data structure ${e}`)
+      }
+      return pairs
+    },
+
+    fetchHistoricalRate: cacheHistoricalRates(
+      pluginDisklet,
+      HISTORY_RESOLUTION_MS,
+      fetchHistoricalRate
+    )
+  })
+
+  // The assets the price stream is subscribed to:
+  let streamCodesById: { [id: string]: string[] } = {}
+
+  return withRateStream(opts, plugin, {
+    async getUrl(pairsHint) {
+      await updateAssetMap()
+      streamCodesById = groupCodesById(pairsHint)
+      const ids = Object.keys(streamCodesById)
+      if (ids.length === 0) return
+      return `${STREAM_URL}?assets=${ids.join(',')}`
+    },
+
+    parseMessage(message) {
+      const prices = asCoincapPrices(JSON.parse(message))
+      const pairs = []
+      for (const id of Object.keys(prices)) {
+        if (streamCodesById[id] == null) continue
+        const rate = parseFloat(prices[id])
+        for (const fromCurrency of streamCodesById[id]) {
           pairs.push({
-            fromCurrency: pair.fromCurrency,
+            fromCurrency,
             toCurrency: 'iso:USD',
-            rate
+            rate,
+            source: STREAM_URL
           })
-        } catch (e) {
-          log.warn(`Issue with Coincap rate data structure ${e}`)
         }
       }
       return pairs
     }
-  }
+  })
 }
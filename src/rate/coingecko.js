@@ -1,13 +1,58 @@
 // @flow
 
-import { asMap, asNumber, asObject } from 'cleaners'
+import {
+  asArray,
+  asMap,
+  asNumber,
+  asObject,
+  asOptional,
+  asString
+} from 'cleaners'
 import {
   type EdgeCorePluginOptions,
+  type EdgeRateHint,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
-const asGeckoBulkUsdReply = asMap(asObject({ usd: asNumber }))
+import {
+  cacheHistoricalRates,
+  makeDiskCacheLoader,
+  withRateCache
+} from '../rate-helpers.js'
+
+// Each coin or contract maps quote currencies to prices,
+// plus `last_updated_at`:
+const asGeckoBulkReply = asMap(asMap(asNumber))
+
+const asGeckoHistoryReply = asObject({
+  market_data: asOptional(
+    asObject({
+      current_price: asMap(asNumber)
+    }),
+    null
+  )
+})
+
+const asGeckoCoinList = asArray(
+  asObject({
+    id: asString,
+    symbol: asString
+  })
+)
+
+const asCoinIdMap = asMap(asString)
+
+// Maps currency codes to Ethereum token contract addresses:
+const asContractAddresses = asMap(asString)
 
+const COIN_LIST_FILE = 'coinList.json'
+const COIN_LIST_REFRESH_MS = 1000 * 60 * 60 * 24
+const HISTORY_RESOLUTION_MS = 1000 * 60 * 60 * 24
+
+/**
+ * Pinned currency code to coin id mappings.
+ * These take priority over the coin list, which has duplicate symbols.
+ */
 const coinGeckoMap = {
   TLOS: 'telos',
   FIRO: 'zcoin',
@@ -117,45 +162,218 @@ const coinGeckoMap = {
 export function makeCoinGeckoPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
-  const { io, log } = opts
+  const { initOptions, io, log, pluginDisklet } = opts
+  const { coinGeckoIds = {} } = initOptions
+  const contractAddresses = asContractAddresses(
+    initOptions.contractAddresses || {}
+  )
+
+  // Symbols resolved from the coin list:
+  let listIds: { [currencyCode: string]: string } = {}
+
+  /**
+   * Downloads the full coin list, keeping only the unambiguous symbols.
+   */
+  async function fetchCoinList(): Promise<{ [currencyCode: string]: string }> {
+    const reply = await io.fetch('https://api.coingecko.com/api/v3/coins/list')
+    if (!reply.ok) {
+      throw new Error(`Coingecko coin list returned ${reply.status}`)
+    }
+    const coins = asGeckoCoinList(await reply.json())
+
+    const out = {}
+    const duplicates = new Set()
+    for (const coin of coins) {
+      const currencyCode = coin.symbol.toUpperCase()
+      if (out[currencyCode] != null) duplicates.add(currencyCode)
+      out[currencyCode] = coin.id
+    }
+    for (const currencyCode of duplicates) delete out[currencyCode]
+    return out
+  }
+
+  const loadCoinList = makeDiskCacheLoader({
+    disklet: pluginDisklet,
+    path: COIN_LIST_FILE,
+    asData: asCoinIdMap,
+    maxAge: COIN_LIST_REFRESH_MS,
+    fallback: {},
+    fetchData: fetchCoinList,
+    onError: e => log.warn(`Failed to update Coingecko coin list ${e}`)
+  })
+
+  async function updateCoinList(): Promise<void> {
+    listIds = await loadCoinList()
+  }
+
+  /**
+   * Translates an Edge currency code into a Coingecko quote currency.
+   */
+  function getVsCurrency(currencyCode: string): string {
+    return currencyCode.replace(/^iso:/, '').toLowerCase()
+  }
+
+  /**
+   * Finds the coin id for a currency code.
+   * Init options win, then pinned entries, then the coin list.
+   */
+  function getCoinId(currencyCode: string): string | void {
+    // An empty id means Coingecko shouldn't price this currency:
+    if (typeof coinGeckoIds[currencyCode] === 'string') {
+      return coinGeckoIds[currencyCode] || undefined
+    }
+    if (coinGeckoMap[currencyCode] != null) {
+      return coinGeckoMap[currencyCode] || undefined
+    }
+    return listIds[currencyCode] || undefined
+  }
+
+  /**
+   * Finds the Ethereum contract address for a hint, if the hint has one
+   * or the init options list one for its currency code.
+   */
+  function getContractAddress(pair: EdgeRateHint): string | void {
+    const { contractAddress } = (pair: any)
+    const address =
+      typeof contractAddress === 'string'
+        ? contractAddress
+        : contractAddresses[pair.fromCurrency]
+    if (address != null) return address.toLowerCase()
+  }
 
-  return {
+  /**
+   * Coingecko provides one historical price per day, at midnight UTC.
+   */
+  async function fetchHistoricalRate(
+    pair: EdgeRateHint,
+    date: Date
+  ): Promise<number | void> {
+    await updateCoinList()
+    const id = getCoinId(pair.fromCurrency)
+    if (id == null) return
+
+    const day = String(date.getUTCDate()).padStart(2, '0')
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0')
+    const reply = await io.fetch(
+      `https://api.coingecko.com/api/v3/coins/${id}/history?date=${day}-${month}-${date.getUTCFullYear()}&localization=false`
+    )
+    if (!reply.ok) {
+      throw new Error(`Coingecko history returned ${reply.status}`)
+    }
+    const { market_data: marketData } = asGeckoHistoryReply(await reply.json())
+    if (marketData == null) return
+    return marketData.current_price[getVsCurrency(pair.toCurrency)]
+  }
+
+  return withRateCache(opts, {
     rateInfo: {
       displayName: 'Coingecko',
       pluginId: 'coingecko'
     },
 
     async fetchRates(pairsHint) {
-      const pairs = []
-      const query = []
+      await updateCoinList()
+
+      // Several currency codes can share the same coin id or contract:
+      const codesById: { [id: string]: string[] } = {}
+      const codesByAddress: { [address: string]: string[] } = {}
+      const addCode = (
+        table: { [key: string]: string[] },
+        key: string,
+        currencyCode: string
+      ) => {
+        if (table[key] == null) table[key] = []
+        if (!table[key].includes(currencyCode)) table[key].push(currencyCode)
+      }
       for (const pair of pairsHint) {
-        // Coingecko is only used to query specific currencies
-        if (coinGeckoMap[pair.fromCurrency])
-          query.push(coinGeckoMap[pair.fromCurrency])
+        const address = getContractAddress(pair)
+        const id = getCoinId(pair.fromCurrency)
+        if (address != null) {
+          addCode(codesByAddress, address, pair.fromCurrency)
+        } else if (id != null) {
+          addCode(codesById, id, pair.fromCurrency)
+        }
       }
-      try {
+      const ids = Object.keys(codesById)
+      const addresses = Object.keys(codesByAddress)
+      if (ids.length === 0 && addresses.length === 0) return []
+
+      // Gather the quote currencies, always including USD:
+      const codesByVs: { [vs: string]: string } = { usd: 'iso:USD' }
+      for (const pair of pairsHint) {
+        codesByVs[getVsCurrency(pair.toCurrency)] = pair.toCurrency
+      }
+      const vsCurrencies = Object.keys(codesByVs).join(',')
+
+      const pairs = []
+
+      /**
+       * Both price endpoints reply with prices by coin id or contract,
+       * so this turns either one into pairs.
+       */
+      async function fetchPrices(
+        source: string,
+        query: string,
+        codesByKey: { [key: string]: string[] }
+      ): Promise<void> {
         const reply = await io.fetch(
-          `https://api.coingecko.com/api/v3/simple/price?ids=${query.join(
-            ','
-          )}&vs_currencies=usd`
+          `${source}?${query}&vs_currencies=${vsCurrencies}&include_last_updated_at=true`
         )
+        const fetchedAt = Date.now()
         const json = await reply.json()
-        const rates = asGeckoBulkUsdReply(json)
-        Object.keys(rates).forEach(rate => {
-          const fromCurrency = Object.keys(coinGeckoMap).find(
-            key => typeof key === 'string' && coinGeckoMap[key] === rate
+        const rates = asGeckoBulkReply(json)
+        for (const key of Object.keys(rates)) {
+          const codes = codesByKey[key.toLowerCase()]
+          if (codes == null) continue
+          const { last_updated_at: updatedAt } = rates[key]
+          const timestamp = updatedAt != null ? 1000 * updatedAt : undefined
+          for (const vs of Object.keys(rates[key])) {
+            const toCurrency = codesByVs[vs]
+            if (toCurrency == null) continue
+            for (const fromCurrency of codes) {
+              if (fromCurrency === toCurrency) continue
+              pairs.push({
+                fromCurrency,
+                toCurrency,
+                rate: rates[key][vs],
+                timestamp,
+                fetchedAt,
+                source
+              })
+            }
+          }
+        }
+      }
+
+      try {
+        if (ids.length > 0) {
+          await fetchPrices(
+            'https://api.coingecko.com/api/v3/simple/price',
+            `ids=${ids.join(',')}`,
+            codesById
           )
-          if (fromCurrency)
-            pairs.push({
-              fromCurrency,
-              toCurrency: 'iso:USD',
-              rate: rates[rate].usd
-            })
-        })
+        }
       } catch (e) {
         log.warn(`Issue with Coingecko rate data structure ${e}`)
       }
+      try {
+        if (addresses.length > 0) {
+          await fetchPrices(
+            'https://api.coingecko.com/api/v3/simple/token_price/ethereum',
+            `contract_addresses=${addresses.join(',')}`,
+            codesByAddress
+          )
+        }
+      } catch (e) {
+        log.warn(`Issue with Coingecko token price data structure ${e}`)
+      }
       return pairs
-    }
-  }
+    },
+
+    fetchHistoricalRate: cacheHistoricalRates(
+      pluginDisklet,
+      HISTORY_RESOLUTION_MS,
+      fetchHistoricalRate
+    )
+  })
 }
@@ -0,0 +1,255 @@
+// @flow
+
+import { asMap, asNumber, asObject, asOptional, asString } from 'cleaners'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRatePair,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+import { loadDiskCache, saveDiskCache, withRateCache } from '../rate-helpers.js'
+
+const asCmcStatus = asObject({
+  error_code: asNumber,
+  error_message: asOptional(asString, null),
+  credit_count: asOptional(asNumber, 0)
+})
+
+const asCmcQuotes = asObject({
+  status: asCmcStatus,
+  data: asOptional(
+    asMap(
+      asObject({
+        quote: asMap(
+          asObject({
+            price: asOptional(asNumber, null), // Missing for inactive coins
+            last_updated: asOptional(asString, null)
+          })
+        )
+      })
+    ),
+    {}
+  )
+})
+
+type CmcQuotes = {
+  [convert: string]: { price: number | null, last_updated: string | null }
+}
+
+const asCreditUsage = asObject({
+  day: asString,
+  used: asNumber
+})
+
+const asCmcIds = asMap(asNumber)
+
+const QUOTES_URL =
+  'https://pro-api.coinmarketcap.com/v1/cryptocurrency/quotes/latest'
+const CREDITS_FILE = 'credits.json'
+
+// The Basic plan allows 10,000 credits per month:
+const DEFAULT_DAILY_CREDITS = 333
+
+// The Basic plan allows one `convert` per request:
+const DEFAULT_MAX_CONVERTS = 1
+
+/**
+ * CoinMarketCap ids for symbols that several coins share.
+ * Symbols in here are requested by id rather than by symbol.
+ */
+const defaultCmcIds = {
+  ANT: 1680,
+  FUN: 1757,
+  GNO: 1659,
+  REP: 1104
+}
+
+function checkIfFiat(code: string): boolean {
+  return code.indexOf('iso:') === 0
+}
+
+export function makeCoinMarketCapPlugin(
+  opts: EdgeCorePluginOptions
+): EdgeRatePlugin {
+  const { io, initOptions, log, pluginDisklet } = opts
+  const {
+    apiKey,
+    dailyCredits = DEFAULT_DAILY_CREDITS,
+    maxConverts = DEFAULT_MAX_CONVERTS
+  } = initOptions
+  if (apiKey == null) {
+    throw new Error('No CoinMarketCap API key provided')
+  }
+  const cmcIds: { [currencyCode: string]: number } = {
+    ...defaultCmcIds,
+    ...asCmcIds(initOptions.cmcIds || {})
+  }
+
+  let credits: { day: string, used: number } | void
+
+  /**
+   * Loads today's credit usage, starting over each UTC day.
+   */
+  async function getCredits(): Promise<{ day: string, used: number }> {
+    const day = new Date().toISOString().slice(0, 10)
+    if (credits == null) {
+      const cache = await loadDiskCache(
+        pluginDisklet,
+        CREDITS_FILE,
+        asCreditUsage
+      )
+      if (cache != null) credits = cache.data
+    }
+    if (credits == null || credits.day !== day) credits = { day, used: 0 }
+    return credits
+  }
+
+  /**
+   * Fetches quotes for some coins, identified by id or by symbol,
+   * keyed the same way they were requested.
+   */
+  async function fetchQuotes(
+    param: 'id' | 'symbol',
+    values: string[],
+    converts: string[]
+  ): Promise<{ [key: string]: CmcQuotes }> {
+    const reply = await io.fetch(
+      `${QUOTES_URL}?${param}=${values.join(',')}&convert=${converts.join(
+        ','
+      )}`,
+      { headers: { 'X-CMC_PRO_API_KEY': apiKey } }
+    )
+    const { status, data } = asCmcQuotes(await reply.json())
+
+    // Every reply reports what it cost, even the failures.
+    // CoinMarketCap puts this in the body's status, not in any header:
+    const usage = await getCredits()
+    usage.used += status.credit_count
+    await saveDiskCache(pluginDisklet, CREDITS_FILE, usage).catch(() => {})
+
+    if (status.error_code !== 0) {
+      const message = String(status.error_message)
+
+      // One unknown symbol fails the whole request, so try without it:
+      const match = /Invalid values? for "symbol": "([^"]*)"/.exec(message)
+      if (param === 'symbol' && match != null) {
+        const invalid = match[1].split(',')
+        const valid = values.filter(value => !invalid.includes(value))
+        if (valid.length > 0 && valid.length < values.length) {
+          return fetchQuotes(param, valid, converts)
+        }
+      }
+      throw new Error(`CoinMarketCap returned ${status.error_code} ${message}`)
+    }
+
+    const out = {}
+    for (const key of Object.keys(data)) out[key] = data[key].quote
+    return out
+  }
+
+  return withRateCache(opts, {
+    rateInfo: {
+      pluginId: 'coinmarketcap',
+      displayName: 'CoinMarketCap'
+    },
+
+    async fetchRates(pairsHint) {
+      // Split the hints into coins & the fiats to convert them into:
+      const codes: string[] = []
+      const converts: string[] = []
+      for (const pair of pairsHint) {
+        const { fromCurrency, toCurrency } = pair
+        // Only crypto/fiat pairs, in either direction:
+        if (checkIfFiat(fromCurrency) === checkIfFiat(toCurrency)) continue
+        const [cc, fiat] = checkIfFiat(toCurrency)
+          ? [fromCurrency, toCurrency]
+          : [toCurrency, fromCurrency]
+        if (!codes.includes(cc)) codes.push(cc)
+        const convert = fiat.replace(/^iso:/, '')
+        if (!converts.includes(convert)) converts.push(convert)
+      }
+      if (codes.length === 0) return []
+
+      // CoinMarketCap can't mix ids and symbols in one request,
+      // and limits how many converts each request can have:
+      const idCodes = codes.filter(cc => cmcIds[cc] != null)
+      const symbolCodes = codes.filter(cc => cmcIds[cc] == null)
+      const requests: Array<{
+        param: 'id' | 'symbol',
+        codes: string[],
+        converts: string[]
+      }> = []
+      const groupSize = Math.max(1, maxConverts)
+      for (let i = 0; i < converts.length; i += groupSize) {
+        const group = converts.slice(i, i + groupSize)
+        if (idCodes.length > 0) {
+          requests.push({ param: 'id', codes: idCodes, converts: group })
+        }
+        if (symbolCodes.length > 0) {
+          requests.push({
+            param: 'symbol',
+            codes: symbolCodes,
+            converts: group
+          })
+        }
+      }
+
+      const pairs: EdgeRatePair[] = []
+      const addQuotes = (
+        cc: string,
+        quotes: CmcQuotes,
+        converts: string[],
+        fetchedAt: number
+      ) => {
+        for (const convert of converts) {
+          if (quotes[convert] == null) continue
+          const { price, last_updated: lastUpdated } = quotes[convert]
+          if (price == null || !(price > 0)) continue
+          const info = {
+            timestamp:
+              lastUpdated != null ? Date.parse(lastUpdated) : undefined,
+            fetchedAt,
+            source: QUOTES_URL
+          }
+          pairs.push({
+            fromCurrency: cc,
+            toCurrency: `iso:${convert}`,
+            rate: price,
+            ...info
+          })
+          pairs.push({
+            fromCurrency: `iso:${convert}`,
+            toCurrency: cc,
+            rate: 1 / price,
+            ...info
+          })
+        }
+      }
+
+      for (const request of requests) {
+        const usage = await getCredits()
+        if (usage.used >= dailyCredits) {
+          log.warn(
+            `CoinMarketCap has used ${usage.used} of ${dailyCredits} credits today`
+          )
+          break
+        }
+
+        const { param, codes, converts } = request
+        const getKey = (cc: string) =>
+          param === 'id' ? String(cmcIds[cc]) : cc
+        try {
+          const data = await fetchQuotes(param, codes.map(getKey), converts)
+          const fetchedAt = Date.now()
+          for (const cc of codes) {
+            const quotes = data[getKey(cc)]
+            if (quotes != null) addQuotes(cc, quotes, converts, fetchedAt)
+          }
+        } catch (e) {
+          log.warn(`Issue with CoinMarketCap rate data structure ${e}`)
+        }
+      }
+      return pairs
+    }
+  })
+}
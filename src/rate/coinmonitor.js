@@ -6,6 +6,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { withRateCache } from '../rate-helpers.js'
+
 const asCoinmonitorTickerResponse = asObject({ mediana_prom: asString })
 
 export function makeCoinmonitorPlugin(
@@ -14,7 +16,7 @@ export function makeCoinmonitorPlugin(
   const { io, log } = opts
   const { fetchCors = io.fetch } = io
 
-  return {
+  return withRateCache(opts, {
     rateInfo: {
       pluginId: 'coinmonitor',
       displayName: 'coinmonitor'
@@ -25,15 +27,17 @@ export function makeCoinmonitorPlugin(
       for (const pair of pairsHint) {
         if (pair.fromCurrency === 'BTC' && pair.toCurrency === 'iso:ARS') {
           try {
-            const response = await fetchCors(
-              'https://ar.coinmonitor.info/api/v3/btc_ars'
-            )
+            const source = 'https://ar.coinmonitor.info/api/v3/btc_ars'
+            const response = await fetchCors(source)
+            const fetchedAt = Date.now()
             const json = await response.json()
             const rate = Number(asCoinmonitorTickerResponse(json).mediana_prom)
             pairs.push({
               fromCurrency: 'BTC',
               toCurrency: 'iso:ARS',
-              rate
+              rate,
+              fetchedAt,
+              source
             })
           } catch (e) {
             log.warn(`Issue with Coinmonitor rate data structure ${e}`)
@@ -43,5 +47,5 @@ export function makeCoinmonitorPlugin(
       }
       return pairs
     }
-  }
+  })
 }
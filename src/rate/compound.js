@@ -1,10 +1,38 @@
 // @flow
 
+import { asArray, asObject, asString } from 'cleaners'
 import {
   type EdgeCorePluginOptions,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { withRateCache } from '../rate-helpers.js'
+
+const asCompoundValue = asObject({ value: asString })
+
+const asCompoundRates = asObject({
+  cToken: asArray(
+    asObject({
+      exchange_rate: asCompoundValue,
+      symbol: asString,
+      underlying_symbol: asString
+    })
+  )
+})
+
+// The APYs are only needed by `fetchSupplyApys`,
+// so they are checked separately from the exchange rates:
+const asCompoundApys = asObject({
+  cToken: asArray(
+    asObject({
+      supply_rate: asCompoundValue,
+      symbol: asString
+    })
+  )
+})
+
+const CTOKEN_URL = 'https://api.compound.finance/api/v2/ctoken'
+
 function fixCurrency(currencyCode) {
   return currencyCode.toUpperCase()
 }
@@ -12,32 +40,60 @@ function fixCurrency(currencyCode) {
 export function makeCompoundPlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
-  const { io } = opts
+  const { io, log } = opts
+
+  async function fetchCTokens(): Promise<mixed> {
+    const reply = await io.fetch(CTOKEN_URL)
+    if (!reply.ok) throw new Error(`Compound returned ${reply.status}`)
+    return reply.json()
+  }
 
-  return {
+  return withRateCache(opts, {
     rateInfo: {
       pluginId: 'compound',
       displayName: 'Compound'
     },
 
     async fetchRates(pairsHint) {
-      const reply = await io.fetch('https://api.compound.finance/api/v2/ctoken')
-      const json = await reply.json()
-      if (!json || !json.cToken) return []
+      const wanted = new Set()
+      for (const pair of pairsHint) {
+        wanted.add(pair.fromCurrency)
+        wanted.add(pair.toCurrency)
+      }
 
       const pairs = []
-      for (const rateInfo of json.cToken) {
-        const rate = Number(rateInfo.exchange_rate.value)
-        const toCurrency = fixCurrency(rateInfo.underlying_symbol)
-        const fromCurrency = fixCurrency(rateInfo.symbol)
-        pairs.push({
-          fromCurrency,
-          toCurrency,
-          rate
-        })
+      try {
+        const { cToken: cTokens } = asCompoundRates(await fetchCTokens())
+        const fetchedAt = Date.now()
+        for (const rateInfo of cTokens) {
+          const fromCurrency = fixCurrency(rateInfo.symbol)
+          if (!wanted.has(fromCurrency)) continue
+          const rate = Number(rateInfo.exchange_rate.value)
+          const toCurrency = fixCurrency(rateInfo.underlying_symbol)
+          pairs.push({
+            fromCurrency,
+            toCurrency,
+            rate,
+            fetchedAt,
+            source: CTOKEN_URL
+          })
+        }
+      } catch (e) {
+        log.warn(`Issue with Compound rate data structure ${e}`)
       }
-
       return pairs
+    },
+
+    /**
+     * Returns the current supply APY for each cToken, as a fraction.
+     */
+    async fetchSupplyApys(): Promise<{ [currencyCode: string]: number }> {
+      const out = {}
+      const { cToken: cTokens } = asCompoundApys(await fetchCTokens())
+      for (const rateInfo of cTokens) {
+        out[fixCurrency(rateInfo.symbol)] = Number(rateInfo.supply_rate.value)
+      }
+      return out
     }
-  }
+  })
 }
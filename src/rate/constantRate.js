@@ -1,13 +1,66 @@
 // @flow
 
+import { asArray, asNumber, asObject, asString } from 'cleaners'
 import {
   type EdgeCorePluginOptions,
+  type EdgeRatePair,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+const asPegs = asArray(
+  asObject({
+    fromCurrency: asString,
+    toCurrency: asString,
+    rate: asNumber
+  })
+)
+
+/**
+ * Currencies with a fixed value relative to some other currency.
+ */
+const defaultPegs: EdgeRatePair[] = [
+  { fromCurrency: 'TESTBTC', toCurrency: 'iso:USD', rate: 0.01 },
+  { fromCurrency: 'WETH', toCurrency: 'ETH', rate: 1 },
+  { fromCurrency: 'iso:BRL', toCurrency: 'BRZ', rate: 1 },
+  { fromCurrency: 'WBTC', toCurrency: 'BTC', rate: 1 },
+  { fromCurrency: 'AYFI', toCurrency: 'YFI', rate: 1 },
+  { fromCurrency: 'ALINK', toCurrency: 'LINK', rate: 1 },
+  { fromCurrency: 'ADAI', toCurrency: 'DAI', rate: 1 },
+  { fromCurrency: 'ABAT', toCurrency: 'BAT', rate: 1 },
+  { fromCurrency: 'AWETH', toCurrency: 'WETH', rate: 1 },
+  { fromCurrency: 'AWBTC', toCurrency: 'WBTC', rate: 1 },
+  { fromCurrency: 'ASNX', toCurrency: 'SNX', rate: 1 },
+  { fromCurrency: 'AREN', toCurrency: 'REN', rate: 1 },
+  { fromCurrency: 'AUSDT', toCurrency: 'USDT', rate: 1 },
+  { fromCurrency: 'AMKR', toCurrency: 'MKR', rate: 1 },
+  { fromCurrency: 'AMANA', toCurrency: 'MANA', rate: 1 },
+  { fromCurrency: 'AZRX', toCurrency: 'ZRX', rate: 1 },
+  { fromCurrency: 'AKNC', toCurrency: 'KNC', rate: 1 },
+  { fromCurrency: 'AUSDC', toCurrency: 'USDC', rate: 1 },
+  { fromCurrency: 'ASUSD', toCurrency: 'SUSD', rate: 1 },
+  { fromCurrency: 'AUNI', toCurrency: 'UNI', rate: 1 },
+  { fromCurrency: 'ANT', toCurrency: 'ANTV1', rate: 1 }
+]
+
 export function makeConstantRatePlugin(
   opts: EdgeCorePluginOptions
 ): EdgeRatePlugin {
+  const { initOptions } = opts
+
+  // Pegs from the init options replace any defaults for the same pair:
+  const extraPegs = asPegs(initOptions.pegs || [])
+  const pegs = [
+    ...defaultPegs.filter(
+      peg =>
+        !extraPegs.some(
+          extra =>
+            extra.fromCurrency === peg.fromCurrency &&
+            extra.toCurrency === peg.toCurrency
+        )
+    ),
+    ...extraPegs
+  ]
+
   return {
     rateInfo: {
       pluginId: 'constantRate',
@@ -15,115 +68,32 @@ export function makeConstantRatePlugin(
     },
 
     async fetchRates(pairsHint) {
-      // Grab all the pairs which are in USD:
-      const pairs = [
-        {
-          fromCurrency: 'TESTBTC',
-          toCurrency: 'iso:USD',
-          rate: 0.01
-        },
-        {
-          fromCurrency: 'WETH',
-          toCurrency: 'ETH',
-          rate: 1
-        },
-        {
-          fromCurrency: 'iso:BRL',
-          toCurrency: 'BRZ',
-          rate: 1
-        },
-        {
-          fromCurrency: 'WBTC',
-          toCurrency: 'BTC',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AYFI',
-          toCurrency: 'YFI',
-          rate: 1
-        },
-        {
-          fromCurrency: 'ALINK',
-          toCurrency: 'LINK',
-          rate: 1
-        },
-        {
-          fromCurrency: 'ADAI',
-          toCurrency: 'DAI',
-          rate: 1
-        },
-        {
-          fromCurrency: 'ABAT',
-          toCurrency: 'BAT',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AWETH',
-          toCurrency: 'WETH',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AWBTC',
-          toCurrency: 'WBTC',
-          rate: 1
-        },
-        {
-          fromCurrency: 'ASNX',
-          toCurrency: 'SNX',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AREN',
-          toCurrency: 'REN',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AUSDT',
-          toCurrency: 'USDT',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AMKR',
-          toCurrency: 'MKR',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AMANA',
-          toCurrency: 'MANA',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AZRX',
-          toCurrency: 'ZRX',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AKNC',
-          toCurrency: 'KNC',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AUSDC',
-          toCurrency: 'USDC',
-          rate: 1
-        },
-        {
-          fromCurrency: 'ASUSD',
-          toCurrency: 'SUSD',
-          rate: 1
-        },
-        {
-          fromCurrency: 'AUNI',
-          toCurrency: 'UNI',
-          rate: 1
-        },
-        {
-          fromCurrency: 'ANT',
-          toCurrency: 'ANTV1',
-          rate: 1
+      // Only return pegs that touch a crypto currency the core asked about,
+      // following chains like AWETH -> WETH -> ETH:
+      const wanted = new Set()
+      const addWanted = (currencyCode: string) => {
+        if (currencyCode.indexOf('iso:') < 0) wanted.add(currencyCode)
+      }
+      for (const pair of pairsHint) {
+        addWanted(pair.fromCurrency)
+        addWanted(pair.toCurrency)
+      }
+      const fetchedAt = Date.now()
+      const out = []
+      let remaining = pegs
+      while (true) {
+        const matches = remaining.filter(
+          peg => wanted.has(peg.fromCurrency) || wanted.has(peg.toCurrency)
+        )
+        if (matches.length === 0) break
+        for (const peg of matches) {
+          out.push({ ...peg, fetchedAt, source: 'peg' })
+          addWanted(peg.fromCurrency)
+          addWanted(peg.toCurrency)
         }
-      ]
-      return pairs
+        remaining = remaining.filter(peg => !matches.includes(peg))
+      }
+      return out
     }
   }
 }
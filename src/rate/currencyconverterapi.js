@@ -5,6 +5,8 @@ import {
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { withRateCache } from '../rate-helpers.js'
+
 const checkAndPush = (isoCc, ccArray) => {
   if (isoCc !== 'iso:USD' && isoCc.slice(0, 4) === 'iso:') {
     const cc = isoCc.slice(4).toUpperCase()
@@ -25,7 +27,7 @@ export function makeCurrencyconverterapiPlugin(
     throw new Error('No currencyconverterapi apiKey provided')
   }
 
-  return {
+  return withRateCache(opts, {
     rateInfo: {
       pluginId: 'currencyconverterapi',
       displayName: 'CurrencyConverterAPI'
@@ -46,17 +48,27 @@ export function makeCurrencyconverterapiPlugin(
       for (const isoCode of isoCodesWanted) {
         try {
           const query = `USD_${isoCode}`
+          // Keep the API key out of the recorded source:
+          const source = `https://api.currencyconverterapi.com/api/v6/convert?q=${query}`
           const response = await fetchCors(
-            `https://api.currencyconverterapi.com/api/v6/convert?q=${query}&compact=ultra&apiKey=${apiKey}`
+            `${source}&compact=ultra&apiKey=${apiKey}`
           )
-          if (!response.ok) continue
+          const fetchedAt = Date.now()
+          if (!response.ok) {
+            log.warn(
+              `currencyconverterapi.com returned ${response.status} for ${isoCode}`
+            )
+            continue
+          }
           const json = await response.json()
           if (json == null || json[query] == null) continue
           const rate = json[query]
           pairs.push({
             fromCurrency: 'iso:USD',
             toCurrency: `iso:${isoCode}`,
-            rate
+            rate,
+            fetchedAt,
+            source
           })
         } catch (e) {
           log.warn(
@@ -67,5 +79,5 @@ export function makeCurrencyconverterapiPlugin(
       }
       return pairs
     }
-  }
+  })
 }
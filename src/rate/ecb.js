@@ -0,0 +1,166 @@
+// @flow
+
+import { asArray, asMap, asNumber, asObject, asString } from 'cleaners'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRateHint,
+  type EdgeRatePair,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+import {
+  cacheHistoricalRates,
+  makeDiskCacheLoader,
+  withRateCache
+} from '../rate-helpers.js'
+
+/**
+ * One day of reference rates, in units per euro.
+ */
+type EcbDay = {
+  date: string, // YYYY-MM-DD
+  rates: { [currencyCode: string]: number }
+}
+
+const asEcbHistory = asArray(
+  asObject({
+    date: asString,
+    rates: asMap(asNumber)
+  })
+)
+
+const DAILY_URL =
+  'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml'
+const HISTORY_URL =
+  'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-hist-90d.xml'
+
+const HISTORY_FILE = 'history.json'
+const HISTORY_REFRESH_MS = 1000 * 60 * 60
+const HISTORY_RESOLUTION_MS = 1000 * 60 * 60 * 24
+
+/**
+ * Pulls the rates out of an ECB feed, newest day first.
+ * Each day is a `<Cube time="...">` holding `<Cube currency rate>` entries.
+ */
+function parseEcbXml(text: string): EcbDay[] {
+  const out = []
+  const dayPattern = /<Cube\s+time=["']([\d-]+)["']\s*>([\s\S]*?)<\/Cube>/g
+  const ratePattern = /<Cube\s+currency=["']([A-Z]{3})["']\s+rate=["']([\d.]+)["']/g
+
+  while (true) {
+    const day = dayPattern.exec(text)
+    if (day == null) break
+    const rates = { EUR: 1 }
+    while (true) {
+      const entry = ratePattern.exec(day[2])
+      if (entry == null) break
+      const rate = Number(entry[2])
+      if (rate > 0) rates[entry[1]] = rate
+    }
+    out.push({ date: day[1], rates })
+  }
+  return out.sort((a, b) => (a.date < b.date ? 1 : -1))
+}
+
+/**
+ * Converts between two fiat codes using rates quoted against the euro.
+ */
+function getCrossRate(
+  rates: { [currencyCode: string]: number },
+  pair: EdgeRateHint
+): number | void {
+  const fromRate = rates[pair.fromCurrency.replace(/^iso:/, '')]
+  const toRate = rates[pair.toCurrency.replace(/^iso:/, '')]
+  if (fromRate == null || toRate == null) return
+  return toRate / fromRate
+}
+
+function checkIfFiat(code: string): boolean {
+  return code.indexOf('iso:') === 0
+}
+
+export function makeEcbPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
+  const { io, log, pluginDisklet } = opts
+
+  async function fetchFeed(uri: string): Promise<EcbDay[]> {
+    const reply = await io.fetch(uri)
+    if (!reply.ok) throw new Error(`ECB returned ${reply.status}`)
+    const days = parseEcbXml(await reply.text())
+    if (days.length === 0) throw new Error('ECB feed has no rates')
+    return days
+  }
+
+  const loadHistory = makeDiskCacheLoader({
+    disklet: pluginDisklet,
+    path: HISTORY_FILE,
+    asData: asEcbHistory,
+    maxAge: HISTORY_REFRESH_MS,
+    fallback: [],
+    fetchData: () => fetchFeed(HISTORY_URL),
+    onError: e => log.warn(`Failed to update ECB history ${e}`)
+  })
+
+  /**
+   * Uses the last reference rates published on or before the date,
+   * since there are none on weekends or holidays.
+   */
+  async function fetchHistoricalRate(
+    pair: EdgeRateHint,
+    date: Date
+  ): Promise<number | void> {
+    if (!checkIfFiat(pair.fromCurrency) || !checkIfFiat(pair.toCurrency)) {
+      return
+    }
+    const history = await loadHistory()
+    const target = date.toISOString().slice(0, 10)
+
+    // Don't guess at days the feed hasn't caught up with yet:
+    if (history.length === 0 || target > history[0].date) return
+    const day = history.find(entry => entry.date <= target)
+    if (day != null) return getCrossRate(day.rates, pair)
+  }
+
+  return withRateCache(opts, {
+    rateInfo: {
+      pluginId: 'ecb',
+      displayName: 'European Central Bank'
+    },
+
+    async fetchRates(pairsHint) {
+      const wanted = pairsHint.filter(
+        pair =>
+          checkIfFiat(pair.fromCurrency) &&
+          checkIfFiat(pair.toCurrency) &&
+          pair.fromCurrency !== pair.toCurrency
+      )
+      if (wanted.length === 0) return []
+
+      const pairs: EdgeRatePair[] = []
+      try {
+        const [today] = await fetchFeed(DAILY_URL)
+        const fetchedAt = Date.now()
+        for (const pair of wanted) {
+          const rate = getCrossRate(today.rates, pair)
+          if (rate == null) continue
+          pairs.push({
+            fromCurrency: pair.fromCurrency,
+            toCurrency: pair.toCurrency,
+            rate,
+            timestamp: Date.parse(today.date),
+            fetchedAt,
+            source: DAILY_URL
+          })
+        }
+      } catch (e) {
+        log.warn(`Issue with ECB rate data ${e}`)
+      }
+      return pairs
+    },
+
+    fetchHistoricalRate: cacheHistoricalRates(
+      pluginDisklet,
+      HISTORY_RESOLUTION_MS,
+      fetchHistoricalRate
+    )
+  })
+}
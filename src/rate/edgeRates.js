@@ -1,13 +1,17 @@
 // @flow
 
-import { asObject, asString } from 'cleaners'
+import { asObject, asOptional, asString } from 'cleaners'
 import {
   type EdgeCorePluginOptions,
+  type EdgeRatePair,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { withRateCache } from '../rate-helpers.js'
+
 const asEdgeRatesResponse = asObject({
-  exchangeRate: asString
+  exchangeRate: asString,
+  date: asOptional(asString)
 })
 
 function checkIfFiat(code: string): boolean {
@@ -21,39 +25,71 @@ export function makeEdgeRatesPlugin(
   const { io, log } = opts
   const { fetch } = io
 
-  return {
+  /**
+   * Fetches a single fiat pair, returning it along with its inverse.
+   */
+  async function fetchPair(
+    fromCurrency: string,
+    toCurrency: string
+  ): Promise<EdgeRatePair[]> {
+    const fiatFrom = fromCurrency.split(':')
+    const fiatTo = toCurrency.split(':')
+    try {
+      const source = `https://rates1.edge.app/v1/exchangeRate?currency_pair=${fiatFrom[1]}_${fiatTo[1]}`
+      const reply = await fetch(source)
+      const fetchedAt = Date.now()
+      const jsonData = await reply.json()
+      const { exchangeRate, date } = asEdgeRatesResponse(jsonData)
+      const rate = Number(exchangeRate)
+      if (!(rate > 0)) return []
+      const info = {
+        timestamp: date != null ? Date.parse(date) : undefined,
+        fetchedAt,
+        source
+      }
+      return [
+        { fromCurrency, toCurrency, rate, ...info },
+        {
+          fromCurrency: toCurrency,
+          toCurrency: fromCurrency,
+          rate: 1 / rate,
+          ...info
+        }
+      ]
+    } catch (e) {
+      log.warn(
+        `Issue with EdgeRates rate data structure for ${fromCurrency}/${toCurrency} pair. Error: ${e}`
+      )
+      return []
+    }
+  }
+
+  return withRateCache(opts, {
     rateInfo: {
       pluginId: 'edgeRates',
       displayName: 'EdgeRates'
     },
 
     async fetchRates(pairsHint) {
-      const pairs = []
+      // Each request answers both directions, so only ask once per pair:
+      const queries: { [key: string]: [string, string] } = {}
       for (const pair of pairsHint) {
+        const { fromCurrency, toCurrency } = pair
         // Skip if neither code is a fiat code
-        if (!checkIfFiat(pair.fromCurrency) || !checkIfFiat(pair.toCurrency))
-          continue
-
-        const fiatFrom = pair.fromCurrency.split(':')
-        const fiatTo = pair.toCurrency.split(':')
-        try {
-          const reply = await fetch(
-            `https://rates1.edge.app/v1/exchangeRate?currency_pair=${fiatFrom[1]}_${fiatTo[1]}`
-          )
-          const jsonData = await reply.json()
-          const rate = Number(asEdgeRatesResponse(jsonData).exchangeRate)
-          pairs.push({
-            fromCurrency: pair.fromCurrency,
-            toCurrency: pair.toCurrency,
-            rate
-          })
-        } catch (e) {
-          log.warn(
-            `Issue with EdgeRates rate data structure for ${pair.fromCurrency}/${pair.toCurrency} pair. Error: ${e}`
-          )
-        }
+        if (!checkIfFiat(fromCurrency) || !checkIfFiat(toCurrency)) continue
+        if (fromCurrency === toCurrency) continue
+        const inverseKey = `${toCurrency}_${fromCurrency}`
+        if (queries[inverseKey] != null) continue
+        queries[`${fromCurrency}_${toCurrency}`] = [fromCurrency, toCurrency]
       }
-      return pairs
+
+      const results = await Promise.all(
+        Object.keys(queries).map(key => {
+          const [fromCurrency, toCurrency] = queries[key]
+          return fetchPair(fromCurrency, toCurrency)
+        })
+      )
+      return [].concat(...results)
     }
-  }
+  })
 }
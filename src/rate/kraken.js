@@ -0,0 +1,154 @@
+// @flow
+
+import { asArray, asMap, asObject, asOptional, asString } from 'cleaners'
+import {
+  type EdgeCorePluginOptions,
+  type EdgeRatePlugin
+} from 'edge-core-js/types'
+
+import { makeDiskCacheLoader, withRateCache } from '../rate-helpers.js'
+
+const asKrakenAssetPairs = asObject({
+  error: asArray(asString),
+  result: asMap(
+    asObject({
+      wsname: asOptional(asString) // Missing for dark-pool pairs
+    })
+  )
+})
+
+const asKrakenTicker = asObject({
+  error: asArray(asString),
+  result: asMap(
+    asObject({
+      a: asArray(asString), // Ask price, whole lot volume, lot volume
+      b: asArray(asString) // Bid price, whole lot volume, lot volume
+    })
+  )
+})
+
+const asMarketMap = asMap(asString)
+
+const ASSET_PAIRS_FILE = 'assetPairs.json'
+const ASSET_PAIRS_REFRESH_MS = 1000 * 60 * 60 * 24
+
+/**
+ * Kraken names that differ from the Edge currency codes.
+ */
+const krakenCodes = {
+  XBT: 'BTC',
+  XDG: 'DOGE'
+}
+
+const fiatCodes = ['AUD', 'CAD', 'CHF', 'EUR', 'GBP', 'JPY', 'USD']
+
+/**
+ * Translates a Kraken asset name, like XBT or EUR, into an Edge code.
+ */
+function fixCurrency(asset: string): string {
+  if (fiatCodes.includes(asset)) return `iso:${asset}`
+  return krakenCodes[asset] || asset
+}
+
+export function makeKrakenPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
+  const { io, log, pluginDisklet } = opts
+
+  /**
+   * Maps Edge pairs like `BTC_iso:EUR` to Kraken pair names like XXBTZEUR.
+   */
+  async function fetchMarkets(): Promise<{ [key: string]: string }> {
+    const reply = await io.fetch('https://api.kraken.com/0/public/AssetPairs')
+    if (!reply.ok) {
+      throw new Error(`Kraken asset pairs returned ${reply.status}`)
+    }
+    const { error, result } = asKrakenAssetPairs(await reply.json())
+    if (error.length > 0) throw new Error(error.join(', '))
+
+    // The websocket names use the friendly asset names, like XBT/EUR:
+    const out = {}
+    for (const name of Object.keys(result)) {
+      const { wsname } = result[name]
+      if (wsname == null) continue
+      const [base, quote] = wsname.split('/')
+      out[`${fixCurrency(base)}_${fixCurrency(quote)}`] = name
+    }
+    return out
+  }
+
+  const loadMarkets = makeDiskCacheLoader({
+    disklet: pluginDisklet,
+    path: ASSET_PAIRS_FILE,
+    asData: asMarketMap,
+    maxAge: ASSET_PAIRS_REFRESH_MS,
+    fallback: {},
+    fetchData: fetchMarkets,
+    onError: e => log.warn(`Failed to update Kraken asset pairs ${e}`)
+  })
+
+  return withRateCache(opts, {
+    rateInfo: {
+      pluginId: 'kraken',
+      displayName: 'Kraken'
+    },
+
+    async fetchRates(pairsHint) {
+      const markets = await loadMarkets()
+
+      // Find a market for each hint, in either direction:
+      const wanted: Array<{
+        fromCurrency: string,
+        toCurrency: string,
+        market: string,
+        inverse: boolean
+      }> = []
+      for (const pair of pairsHint) {
+        const { fromCurrency, toCurrency } = pair
+        const market = markets[`${fromCurrency}_${toCurrency}`]
+        const inverseMarket = markets[`${toCurrency}_${fromCurrency}`]
+        if (market != null) {
+          wanted.push({ fromCurrency, toCurrency, market, inverse: false })
+        } else if (inverseMarket != null) {
+          wanted.push({
+            fromCurrency,
+            toCurrency,
+            market: inverseMarket,
+            inverse: true
+          })
+        }
+      }
+      if (wanted.length === 0) return []
+
+      const pairs = []
+      try {
+        const names = []
+        for (const { market } of wanted) {
+          if (!names.includes(market)) names.push(market)
+        }
+        const reply = await io.fetch(
+          `https://api.kraken.com/0/public/Ticker?pair=${names.join(',')}`
+        )
+        const fetchedAt = Date.now()
+        if (!reply.ok) throw new Error(`Kraken returned ${reply.status}`)
+        const { error, result } = asKrakenTicker(await reply.json())
+        if (error.length > 0) throw new Error(error.join(', '))
+
+        for (const { fromCurrency, toCurrency, market, inverse } of wanted) {
+          const ticker = result[market]
+          if (ticker == null) continue
+          const mid = (Number(ticker.a[0]) + Number(ticker.b[0])) / 2
+          if (!(mid > 0)) continue
+          pairs.push({
+            fromCurrency,
+            toCurrency,
+            rate: inverse ? 1 / mid : mid,
+            fetchedAt,
+            source: market
+          })
+        }
+      } catch (e) {
+        log.warn(`Issue with Kraken rate data structure ${e}`)
+      }
+      return pairs
+    }
+  })
+}
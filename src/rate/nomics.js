@@ -1,17 +1,26 @@
 // @flow
 
-import { asArray, asObject, asString } from 'cleaners'
+import { asArray, asObject, asOptional, asString } from 'cleaners'
 import {
   type EdgeCorePluginOptions,
+  type EdgeRatePair,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { withRateCache } from '../rate-helpers.js'
+
 const asNomicsResponse = asArray(
   asObject({
-    price: asString
+    id: asString,
+    currency: asString,
+    price: asString,
+    price_timestamp: asOptional(asString)
   })
 )
 
+const PAGE_SIZE = 100
+const TICKER_URL = 'https://api.nomics.com/v1/currencies/ticker'
+
 function checkIfFiat(code: string): boolean {
   if (code.indexOf('iso:') >= 0) return true
   return false
@@ -25,41 +34,78 @@ export function makeNomicsPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
   if (apiKey == null) {
     throw new Error('No Nomics exchange rates API key provided')
   }
-  return {
+
+  /**
+   * Fetches prices for several crypto currencies in a single fiat.
+   */
+  async function fetchFiatRates(
+    fiatCode: string,
+    currencyCodes: string[]
+  ): Promise<EdgeRatePair[]> {
+    const pairs = []
+    for (let i = 0; i < currencyCodes.length; i += PAGE_SIZE) {
+      const ids = currencyCodes.slice(i, i + PAGE_SIZE)
+      try {
+        const reply = await fetchCors(
+          `${TICKER_URL}?key=${apiKey}&ids=${ids.join(',')}&convert=${
+            fiatCode.split(':')[1]
+          }&per-page=${PAGE_SIZE}`
+        )
+        const fetchedAt = Date.now()
+        if (!reply.ok) {
+          throw new Error(`Nomics returned ${reply.status}`)
+        }
+        const jsonData = await reply.json()
+        for (const ticker of asNomicsResponse(jsonData)) {
+          const fromCurrency = ids.find(
+            id => id === ticker.id || id === ticker.currency
+          )
+          if (fromCurrency == null) continue
+          const { price_timestamp: priceTimestamp } = ticker
+          pairs.push({
+            fromCurrency,
+            toCurrency: fiatCode,
+            rate: Number(ticker.price),
+            timestamp:
+              priceTimestamp != null ? Date.parse(priceTimestamp) : undefined,
+            fetchedAt,
+            source: TICKER_URL
+          })
+        }
+      } catch (e) {
+        log.warn(
+          `Issue with Nomics rate data structure for ${fiatCode} rates. Error: ${e}`
+        )
+      }
+    }
+    return pairs
+  }
+
+  return withRateCache(opts, {
     rateInfo: {
       pluginId: 'nomics',
       displayName: 'Nomics'
     },
 
     async fetchRates(pairsHint) {
-      const pairs = []
+      // Group the crypto currencies by the fiat they are quoted in:
+      const codesByFiat: { [fiatCode: string]: string[] } = {}
       for (const pair of pairsHint) {
-        // Skip if codes are both fiat or crypto
-        if (
-          (checkIfFiat(pair.fromCurrency) && checkIfFiat(pair.toCurrency)) ||
-          (!checkIfFiat(pair.fromCurrency) && !checkIfFiat(pair.toCurrency))
-        )
-          continue
-        const fiatCode = pair.toCurrency.split(':')
-        try {
-          const reply = await fetchCors(
-            `https://api.nomics.com/v1/currencies/ticker?key=${apiKey}&ids=${pair.fromCurrency}&convert=${fiatCode[1]}`
-          )
-          if (reply.status === 429) continue
-          const jsonData = await reply.json()
-          const rate = Number(asNomicsResponse(jsonData)[0].price)
-          pairs.push({
-            fromCurrency: pair.fromCurrency,
-            toCurrency: pair.toCurrency,
-            rate
-          })
-        } catch (e) {
-          log.warn(
-            `Issue with Nomics rate data structure for ${pair.fromCurrency}/${pair.toCurrency} pair. Error: ${e}`
-          )
+        // Nomics only quotes crypto currencies against fiat
+        const { fromCurrency, toCurrency } = pair
+        if (checkIfFiat(fromCurrency) || !checkIfFiat(toCurrency)) continue
+        if (codesByFiat[toCurrency] == null) codesByFiat[toCurrency] = []
+        if (!codesByFiat[toCurrency].includes(fromCurrency)) {
+          codesByFiat[toCurrency].push(fromCurrency)
         }
       }
+
+      // Nomics has a strict rate limit, so go one fiat at a time:
+      const pairs = []
+      for (const fiatCode of Object.keys(codesByFiat)) {
+        pairs.push(...(await fetchFiatRates(fiatCode, codesByFiat[fiatCode])))
+      }
       return pairs
     }
-  }
+  })
 }
@@ -1,17 +1,28 @@
 // @flow
 
-import { asMap, asObject, asString } from 'cleaners'
+import { asMap, asNumber, asObject, asOptional, asString } from 'cleaners'
 import {
   type EdgeCorePluginOptions,
   type EdgeRatePlugin
 } from 'edge-core-js/types'
 
+import { withRateCache } from '../rate-helpers.js'
+
 const asWazirxResponse = asMap(
   asObject({
-    last: asString
+    last: asString,
+    at: asOptional(asNumber) // Seconds
   })
 )
 
+// Maps Edge currency codes to the quote currencies Wazirx lists:
+const quoteCurrencies = {
+  'iso:INR': 'inr',
+  BTC: 'btc',
+  USDT: 'usdt',
+  WRX: 'wrx'
+}
+
 function fixCurrency(currencyCode) {
   currencyCode = currencyCode.toUpperCase()
 
@@ -24,42 +35,88 @@ export function makeWazirxPlugin(opts: EdgeCorePluginOptions): EdgeRatePlugin {
   const { io, log } = opts
   const { fetchCors = io.fetch } = io
 
-  return {
+  return withRateCache(opts, {
     rateInfo: {
       pluginId: 'wazirx',
       displayName: 'WazirX'
     },
 
     async fetchRates(pairsHint) {
+      const wanted = pairsHint.filter(
+        pair => quoteCurrencies[pair.toCurrency] != null
+      )
+      if (wanted.length === 0) return []
+
       const pairs = []
-      let rates
-      for (const pair of pairsHint) {
-        // Wazirx is only used to query INR exchange rates
-        if (pair.toCurrency !== 'iso:INR') continue
-
-        try {
-          if (rates === undefined) {
-            const reply = await fetchCors(
-              'https://api.wazirx.com/api/v2/tickers'
-            )
-            const json = await reply.json()
-            rates = asWazirxResponse(json)
-          }
+      try {
+        const reply = await fetchCors('https://api.wazirx.com/api/v2/tickers')
+        const fetchedAt = Date.now()
+        const json = await reply.json()
+        const rates = asWazirxResponse(json)
+
+        // Finds a market price, or undefined if the market is missing:
+        const getRate = (market: string): number | void => {
+          if (rates[market] == null) return
+          const rate = Number(rates[market].last)
+          if (rate > 0) return rate
+        }
+
+        // Finds when a market last traded:
+        const getTimestamp = (market: string): number | void => {
+          if (rates[market] == null || rates[market].at == null) return
+          return 1000 * rates[market].at
+        }
 
+        for (const pair of wanted) {
           const cc = fixCurrency(pair.fromCurrency).toLowerCase()
-          const currencyPair = `${cc}inr`
-          if (rates && rates[currencyPair]) {
+          const quote = quoteCurrencies[pair.toCurrency]
+
+          const market = `${cc}${quote}`
+          const rate = getRate(market)
+          if (rate != null) {
+            pairs.push({
+              fromCurrency: pair.fromCurrency,
+              toCurrency: pair.toCurrency,
+              rate,
+              timestamp: getTimestamp(market),
+              fetchedAt,
+              source: market
+            })
+            continue
+          }
+
+          // Go through USDT if there is no direct market:
+          const usdtMarket = `${cc}usdt`
+          const quoteMarket =
+            getRate(`usdt${quote}`) != null ? `usdt${quote}` : `${quote}usdt`
+          const usdtRate = getRate(usdtMarket)
+          const quoteMarketRate = getRate(quoteMarket)
+          if (usdtRate != null && quoteMarketRate != null) {
+            const quoteRate =
+              quoteMarket === `usdt${quote}`
+                ? quoteMarketRate
+                : 1 / quoteMarketRate
+            const usdtTime = getTimestamp(usdtMarket)
+            const quoteTime = getTimestamp(quoteMarket)
             pairs.push({
               fromCurrency: pair.fromCurrency,
-              toCurrency: 'iso:INR',
-              rate: Number(rates[currencyPair].last)
+              toCurrency: pair.toCurrency,
+              rate: usdtRate * quoteRate,
+              timestamp:
+                usdtTime != null && quoteTime != null
+                  ? Math.min(usdtTime, quoteTime)
+                  : undefined,
+              fetchedAt,
+              source: `${usdtMarket},${quoteMarket}`,
+              derived: true,
+              route: [pair.fromCurrency, 'USDT', pair.toCurrency]
             })
           }
-        } catch (e) {
-          log.warn(`Issue with Wazirx rate data structure ${e}`)
         }
+      } catch (e) {
+        log.warn(`Issue with Wazirx rate data structure ${e}`)
       }
       return pairs
     }
-  }
+  })
 }
@@ -0,0 +1,123 @@
+// @flow
+
+import { makeMemoryDisklet } from 'disklet'
+import { type EdgeCorePluginOptions } from 'edge-core-js/types'
+
+export type FakeResponse = {
+  status?: number,
+  headers?: { [name: string]: string },
+  body?: mixed
+}
+
+export type FakeFetch = (
+  uri: string,
+  opts: Object
+) => Promise<FakeResponse> | FakeResponse
+
+export const fakeLog = Object.assign(() => {}, { error() {}, warn() {} })
+
+export function delay(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Fails unless the promise rejects with a message matching the pattern.
+ */
+export async function expectRejection(
+  promise: Promise<mixed>,
+  pattern: RegExp = /./
+): Promise<void> {
+  try {
+    await promise
+  } catch (e) {
+    if (!pattern.test(String(e))) throw e
+    return
+  }
+  throw new Error(`Expected a rejection matching ${String(pattern)}`)
+}
+
+/**
+ * Builds plugin options with an in-memory disk and a scripted fetch,
+ * so plugins and wrappers can run without a network.
+ */
+export function makeFakeOptions(
+  initOptions: Object = {},
+  fetch: FakeFetch = () => ({ status: 404 })
+): EdgeCorePluginOptions {
+  async function fakeFetch(uri: string, opts: Object = {}) {
+    const { status = 200, headers = {}, body } = await fetch(uri, opts)
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: {
+        get: (name: string) =>
+          headers[name.toLowerCase()] != null
+            ? headers[name.toLowerCase()]
+            : null
+      },
+      json: async () => body,
+      text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    }
+  }
+
+  const out: any = {
+    initOptions,
+    io: { fetch: fakeFetch },
+    log: fakeLog,
+    nativeIo: {},
+    pluginDisklet: makeMemoryDisklet()
+  }
+  return out
+}
+
+/**
+ * A stand-in for the WebSocket constructor, which records every socket
+ * it creates so a test can play the server's side.
+ */
+export function makeFakeWebSocket(): {
+  WebSocket: Class<any>,
+  sockets: any[]
+} {
+  const sockets = []
+
+  class FakeWebSocket {
+    url: string
+    sent: string[]
+    closed: boolean
+    onopen: () => void
+    onmessage: (event: { data: mixed }) => void
+    onerror: () => void
+    onclose: () => void
+
+    constructor(url: string) {
+      this.url = url
+      this.sent = []
+      this.closed = false
+      sockets.push(this)
+    }
+
+    send(message: string): void {
+      this.sent.push(message)
+    }
+
+    close(): void {
+      this.closed = true
+    }
+
+    // Server-side actions:
+    open(): void {
+      this.onopen()
+    }
+
+    receive(message: mixed): void {
+      this.onmessage({ data: JSON.stringify(message) })
+    }
+
+    drop(): void {
+      this.closed = true
+      this.onclose()
+    }
+  }
+
+  return { WebSocket: FakeWebSocket, sockets }
+}
@@ -0,0 +1,51 @@
+// @flow
+
+import assert from 'assert'
+
+import { throttlePluginOptions } from '../src/fetch-helpers.js'
+import { expectRejection, makeFakeOptions } from './fakes.js'
+
+export const fetchHelperTests = {
+  async 'throttled fetch honors Retry-After'() {
+    const statuses = [429, 200]
+    const opts = throttlePluginOptions(
+      makeFakeOptions({}, () => ({
+        status: statuses.shift(),
+        headers: { 'retry-after': '0' }
+      }))
+    )
+    const reply = await opts.io.fetch('https://retry.example.com/')
+    assert.strictEqual(reply.status, 200)
+    assert.strictEqual(statuses.length, 0)
+  },
+
+  async 'throttled fetch retries failed GETs only'() {
+    let calls = 0
+    const opts = throttlePluginOptions(
+      makeFakeOptions({}, () => {
+        if (++calls === 1) throw new Error('offline')
+        return { status: 200 }
+      })
+    )
+    const reply = await opts.io.fetch('https://flaky.example.com/')
+    assert.strictEqual(reply.status, 200)
+    assert.strictEqual(calls, 2)
+
+    calls = 0
+    await expectRejection(
+      opts.io.fetch('https://flaky.example.com/', { method: 'POST' }),
+      /offline/
+    )
+    assert.strictEqual(calls, 1)
+  },
+
+  async 'throttled fetch gives up once the budget is spent'() {
+    // This host allows 100 requests per hour:
+    const opts = throttlePluginOptions(
+      makeFakeOptions({}, () => ({ status: 200 }))
+    )
+    const uri = 'https://api.currencyconverterapi.com/api/v6/convert'
+    for (let i = 0; i < 100; ++i) await opts.io.fetch(uri)
+    await expectRejection(opts.io.fetch(uri), /used up/)
+  }
+}
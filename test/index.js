@@ -0,0 +1,26 @@
+/* eslint-disable no-console */
+// @flow
+
+import { fetchHelperTests } from './fetch-helpers.js'
+import { rateHelperTests } from './rate-helpers.js'
+import { rateStreamTests } from './rate-stream.js'
+
+/**
+ * Runs the offline behavior checks one at a time, in order.
+ */
+async function runTests(tests: { [name: string]: () => Promise<void> }) {
+  let failures = 0
+  for (const name of Object.keys(tests)) {
+    try {
+      await tests[name]()
+      console.log(`ok ${name}`)
+    } catch (e) {
+      ++failures
+      console.log(`FAILED ${name}`)
+      console.log(e)
+    }
+  }
+  if (failures > 0) process.exitCode = 1
+}
+
+runTests({ ...fetchHelperTests, ...rateHelperTests, ...rateStreamTests })
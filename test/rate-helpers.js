@@ -0,0 +1,187 @@
+// @flow
+
+import assert from 'assert'
+import { type EdgeRateHint, type EdgeRatePair } from 'edge-core-js/types'
+
+import {
+  makeDiskCacheLoader,
+  triangulateRates,
+  withLastGoodRates,
+  withRateCache,
+  withRateGuard
+} from '../src/rate-helpers.js'
+import { delay, expectRejection, makeFakeOptions } from './fakes.js'
+
+const rateInfo = { pluginId: 'fake', displayName: 'Fake' }
+
+/**
+ * A plugin that answers with whatever `answer` returns,
+ * recording the hints it was asked about.
+ */
+function makeScriptedPlugin(
+  answer: (pairsHint: EdgeRateHint[]) => EdgeRatePair[]
+) {
+  const calls: EdgeRateHint[][] = []
+  const plugin = {
+    rateInfo,
+    async fetchRates(pairsHint) {
+      calls.push(pairsHint)
+      return answer(pairsHint)
+    }
+  }
+  return { plugin, calls }
+}
+
+function keys(pairs: EdgeRatePair[]): string[] {
+  return pairs.map(pair => `${pair.fromCurrency}_${pair.toCurrency}`)
+}
+
+const hintAB = { fromCurrency: 'A', toCurrency: 'B' }
+const hintBA = { fromCurrency: 'B', toCurrency: 'A' }
+const hintAC = { fromCurrency: 'A', toCurrency: 'C' }
+
+export const rateHelperTests = {
+  async 'makeDiskCacheLoader caches & backs off'() {
+    const { pluginDisklet } = makeFakeOptions()
+    let fetches = 0
+    let fail = false
+    const errors = []
+    const loadNumbers = makeDiskCacheLoader({
+      disklet: pluginDisklet,
+      path: 'numbers.json',
+      asData: (raw: any): number[] => raw,
+      maxAge: 20,
+      retryDelay: 50,
+      fallback: [],
+      async fetchData() {
+        ++fetches
+        if (fail) throw new Error('offline')
+        return [fetches]
+      },
+      onError: e => {
+        errors.push(e)
+      }
+    })
+
+    assert.deepStrictEqual(await loadNumbers(), [1])
+    assert.deepStrictEqual(await loadNumbers(), [1])
+    assert.strictEqual(fetches, 1)
+    assert.ok((await pluginDisklet.getText('numbers.json')).includes('[1]'))
+
+    // A failure keeps the old data and waits before trying again:
+    fail = true
+    await delay(30)
+    assert.deepStrictEqual(await loadNumbers(), [1])
+    assert.deepStrictEqual(await loadNumbers(), [1])
+    assert.strictEqual(fetches, 2)
+    assert.strictEqual(errors.length, 1)
+
+    fail = false
+    await delay(60)
+    assert.deepStrictEqual(await loadNumbers(), [3])
+  },
+
+  async 'withRateCache is off without a cacheTtl'() {
+    const { plugin } = makeScriptedPlugin(() => [])
+    assert.strictEqual(withRateCache(makeFakeOptions(), plugin), plugin)
+  },
+
+  async 'withRateCache only asks about missing pairs'() {
+    const { plugin, calls } = makeScriptedPlugin(pairsHint =>
+      pairsHint
+        .filter(hint => hint.toCurrency !== 'C')
+        .map(hint => ({ ...hint, rate: 2 }))
+    )
+    const cached = withRateCache(makeFakeOptions({ cacheTtl: 1000 }), plugin)
+
+    assert.deepStrictEqual(keys(await cached.fetchRates([hintAB])), ['A_B'])
+    assert.deepStrictEqual(keys(await cached.fetchRates([hintAB])), ['A_B'])
+    assert.strictEqual(calls.length, 1)
+
+    // The inverse is already answered, and misses aren't re-asked:
+    assert.deepStrictEqual(keys(await cached.fetchRates([hintBA])), ['A_B'])
+    assert.deepStrictEqual(await cached.fetchRates([hintAC]), [])
+    assert.deepStrictEqual(await cached.fetchRates([hintAC]), [])
+    assert.deepStrictEqual(calls, [[hintAB], [hintAC]])
+  },
+
+  async 'withRateGuard holds back jumps until confirmed'() {
+    let rate = 100
+    const { plugin } = makeScriptedPlugin(() => [{ ...hintAB, rate }])
+    const guarded = withRateGuard(makeFakeOptions(), plugin)
+
+    assert.strictEqual((await guarded.fetchRates([hintAB])).length, 1)
+    rate = 1000
+    assert.strictEqual((await guarded.fetchRates([hintAB])).length, 0)
+    rate = 1010
+    assert.deepStrictEqual(
+      (await guarded.fetchRates([hintAB])).map(pair => pair.rate),
+      [1010]
+    )
+  },
+
+  async 'triangulateRates picks the freshest route'() {
+    const pairs = [
+      { fromCurrency: 'A', toCurrency: 'iso:USD', rate: 2, fetchedAt: 10 },
+      { fromCurrency: 'B', toCurrency: 'iso:USD', rate: 0.5, fetchedAt: 10 },
+      { fromCurrency: 'A', toCurrency: 'BTC', rate: 4, fetchedAt: 20 },
+      { fromCurrency: 'BTC', toCurrency: 'B', rate: 1, fetchedAt: 30 }
+    ]
+    const derived: any[] = triangulateRates([hintAB, hintAC], pairs)
+    assert.strictEqual(derived.length, 1)
+    assert.strictEqual(derived[0].rate, 4)
+    assert.strictEqual(derived[0].fetchedAt, 20)
+    assert.strictEqual(derived[0].derived, true)
+    assert.deepStrictEqual(derived[0].route, ['A', 'BTC', 'B'])
+
+    // No bridges, no routes:
+    assert.deepStrictEqual(triangulateRates([hintAB], pairs, []), [])
+  },
+
+  async 'withLastGoodRates fills gaps without contradictions'() {
+    const opts = makeFakeOptions()
+    let answer = [
+      { ...hintAB, rate: 2 },
+      { ...hintBA, rate: 0.5 },
+      { ...hintAC, rate: 3, derived: true, route: ['A', 'B', 'C'] }
+    ]
+    const { plugin } = makeScriptedPlugin(() => answer)
+    const hints = [hintAB, hintBA, hintAC]
+
+    let writes = 0
+    const disklet: any = opts.pluginDisklet
+    const { setText } = disklet
+    disklet.setText = (path, text) => {
+      ++writes
+      return setText(path, text)
+    }
+    const first = withLastGoodRates(opts, plugin)
+    await first.fetchRates(hints)
+    await first.fetchRates(hints)
+    assert.strictEqual(writes, 1)
+
+    // A fresh A_B hides the remembered B_A,
+    // and the derived pair stays marked after a restart:
+    answer = [{ ...hintAB, rate: 4 }]
+    const second = withLastGoodRates(opts, plugin)
+    const pairs: any[] = await second.fetchRates(hints)
+    assert.deepStrictEqual(keys(pairs), ['A_B', 'A_C'])
+    assert.strictEqual(pairs[0].rate, 4)
+    assert.strictEqual(pairs[1].stale, true)
+    assert.strictEqual(pairs[1].derived, true)
+    assert.deepStrictEqual(pairs[1].route, ['A', 'B', 'C'])
+
+    // Failures are only hidden if there's something to show:
+    const failing = withLastGoodRates(opts, {
+      rateInfo,
+      async fetchRates() {
+        throw new Error('offline')
+      }
+    })
+    assert.strictEqual((await failing.fetchRates([hintAB])).length, 1)
+    await expectRejection(
+      failing.fetchRates([{ fromCurrency: 'X', toCurrency: 'Y' }]),
+      /offline/
+    )
+  }
+}
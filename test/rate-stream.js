@@ -0,0 +1,141 @@
+// @flow
+
+import assert from 'assert'
+import { type EdgeRatePlugin } from 'edge-core-js/types'
+
+import { withRateStream } from '../src/rate-stream.js'
+import { delay, makeFakeOptions, makeFakeWebSocket } from './fakes.js'
+
+const hints = [
+  { fromCurrency: 'BTC', toCurrency: 'iso:USD' },
+  { fromCurrency: 'ETH', toCurrency: 'iso:USD' }
+]
+
+/**
+ * A REST plugin that prices everything at 1, recording what it was asked.
+ */
+function makeRestPlugin(): { plugin: EdgeRatePlugin, calls: any[] } {
+  const calls = []
+  const plugin = {
+    rateInfo: { pluginId: 'fake', displayName: 'Fake' },
+    async fetchRates(pairsHint) {
+      calls.push(pairsHint)
+      return pairsHint.map(hint => ({ ...hint, rate: 1, source: 'rest' }))
+    }
+  }
+  return { plugin, calls }
+}
+
+const source = {
+  async getUrl() {
+    return 'wss://example.com/ticker'
+  },
+  getSubscriptions(pairsHint) {
+    return [JSON.stringify(pairsHint.map(hint => hint.fromCurrency))]
+  },
+  parseMessage(message) {
+    const { code, price } = JSON.parse(message)
+    return [
+      { fromCurrency: code, toCurrency: 'iso:USD', rate: price, source: 'ws' }
+    ]
+  }
+}
+
+export const rateStreamTests = {
+  async 'rate-stream is off unless enabled'() {
+    const { WebSocket } = makeFakeWebSocket()
+    const { plugin } = makeRestPlugin()
+    const opts = makeFakeOptions({ WebSocket })
+    assert.strictEqual(withRateStream(opts, plugin, source), plugin)
+  },
+
+  async 'rate-stream mixes streamed & REST prices'() {
+    const { WebSocket, sockets } = makeFakeWebSocket()
+    const { plugin, calls } = makeRestPlugin()
+    const streamUrl = 'ws://localhost:8080'
+    const stream = withRateStream(
+      makeFakeOptions({ streaming: true, streamUrl, WebSocket }),
+      plugin,
+      source
+    )
+
+    // Everything comes over REST until the socket delivers:
+    const restPairs: any[] = await stream.fetchRates(hints)
+    assert.deepStrictEqual(
+      restPairs.map(pair => pair.source),
+      ['rest', 'rest']
+    )
+    await delay(0)
+    assert.strictEqual(sockets.length, 1)
+    assert.strictEqual(sockets[0].url, streamUrl)
+    sockets[0].open()
+    assert.deepStrictEqual(sockets[0].sent, ['["BTC","ETH"]'])
+
+    // Streamed prices win, and REST only covers the rest:
+    sockets[0].receive({ code: 'BTC', price: 50000 })
+    const pairs: any[] = await stream.fetchRates(hints)
+    assert.deepStrictEqual(
+      pairs.map(pair => [pair.fromCurrency, pair.rate, pair.source]),
+      [
+        ['BTC', 50000, 'ws'],
+        ['ETH', 1, 'rest']
+      ]
+    )
+    assert.strictEqual(typeof pairs[0].fetchedAt, 'number')
+    assert.deepStrictEqual(calls[calls.length - 1], [hints[1]])
+
+    // Garbage doesn't break anything:
+    sockets[0].onmessage({ data: 'not json' })
+    const laterPairs: any[] = await stream.fetchRates(hints)
+    assert.strictEqual(laterPairs[0].rate, 50000)
+  },
+
+  async 'rate-stream reconnects after the socket drops'() {
+    const { WebSocket, sockets } = makeFakeWebSocket()
+    const { plugin } = makeRestPlugin()
+    const stream = withRateStream(
+      makeFakeOptions({ streaming: true, WebSocket }),
+      plugin,
+      source
+    )
+
+    await stream.fetchRates(hints)
+    await delay(0)
+    sockets[0].open()
+    sockets[0].receive({ code: 'BTC', price: 50000 })
+    sockets[0].drop()
+
+    // The old prices go away with the socket:
+    const pairs: any[] = await stream.fetchRates(hints)
+    assert.deepStrictEqual(
+      pairs.map(pair => pair.source),
+      ['rest', 'rest']
+    )
+
+    // The first retry happens after a second:
+    await delay(1100)
+    assert.strictEqual(sockets.length, 2)
+    assert.strictEqual(sockets[1].url, 'wss://example.com/ticker')
+    sockets[1].open()
+    assert.deepStrictEqual(sockets[1].sent, ['["BTC","ETH"]'])
+  },
+
+  async 'rate-stream re-subscribes when the hints change'() {
+    const { WebSocket, sockets } = makeFakeWebSocket()
+    const { plugin } = makeRestPlugin()
+    const stream = withRateStream(
+      makeFakeOptions({ streaming: true, WebSocket }),
+      plugin,
+      source
+    )
+
+    await stream.fetchRates(hints)
+    await delay(0)
+    await stream.fetchRates([hints[0]])
+    await delay(0)
+    assert.strictEqual(sockets.length, 2)
+    assert.strictEqual(sockets[0].closed, true)
+    sockets[1].open()
+    assert.deepStrictEqual(sockets[1].sent, ['["BTC"]'])
+  }
+}